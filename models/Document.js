@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { filterKeysFor } = require("../services/search-filters");
 
 // Define schema for documents collection
 const documentSchema = new mongoose.Schema(
@@ -17,6 +18,30 @@ const documentSchema = new mongoose.Schema(
     year: { type: Number },
     month: { type: Number },
     embedding: { type: [Number], default: [] },
+    // Provider that produced `embedding` (e.g. "transformers:Xenova/all-MiniLM-L6-v2")
+    embeddingModel: { type: String, default: null },
+    embeddingDimensions: { type: Number, default: null },
+    embeddedAt: { type: Date, default: null },
+    // Template (name@version) that built the embedded text
+    embeddingTemplate: { type: String, default: null },
+    // Optional separate vectors for QueryText and KccAns (matchOn search)
+    questionEmbedding: { type: [Number], default: undefined },
+    answerEmbedding: { type: [Number], default: undefined },
+    questionAnswerModel: { type: String, default: null },
+    // Provider that embedded this document's answer passages, and how many
+    passageModel: { type: String, default: null },
+    passageCount: { type: Number, default: 0 },
+    // Lower-cased text filter fields, matched by the vector pre-filter
+    filterKeys: {
+      StateName: { type: String },
+      DistrictName: { type: String },
+      BlockName: { type: String },
+      Crop: { type: String },
+      Season: { type: String },
+      Category: { type: String },
+      QueryType: { type: String },
+    },
+    filterKeysAt: { type: Date, default: null },
   },
   {
     collection: "documents",
@@ -28,6 +53,30 @@ const documentSchema = new mongoose.Schema(
 documentSchema.index({ StateName: 1, DistrictName: 1 });
 documentSchema.index({ CreatedOn: -1 });
 documentSchema.index({ year: 1, month: 1 });
+documentSchema.index({ embeddingModel: 1 });
+documentSchema.index({ embeddingTemplate: 1 });
+documentSchema.index({ questionAnswerModel: 1 });
+// Text index used by the lexical half of hybrid search
+documentSchema.index(
+  { QueryText: "text", KccAns: "text" },
+  { name: "lexical_text_index", weights: { QueryText: 2, KccAns: 1 } }
+);
+documentSchema.index({ filterKeysAt: 1 });
+
+// Keep filterKeys in step with the fields they copy
+documentSchema.pre("save", function (next) {
+  this.filterKeys = filterKeysFor(this);
+  this.filterKeysAt = new Date();
+  next();
+});
+documentSchema.pre("insertMany", function (next, docs) {
+  const now = new Date();
+  for (const doc of docs) {
+    doc.filterKeys = filterKeysFor(doc);
+    doc.filterKeysAt = now;
+  }
+  next();
+});
 
 // Export model, but only create it if it doesn't exist
 module.exports =
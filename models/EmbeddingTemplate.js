@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Named template that turns a document into the text that gets embedded
+const embeddingTemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    // Text with {{Field}} placeholders and {{#Field}}...{{/Field}} sections
+    template: { type: String, required: true },
+    // Rendered text is cut to this many characters (null: no limit)
+    maxLength: { type: Number, default: null },
+    description: { type: String, default: "" },
+    // Bumped whenever template or maxLength changes
+    version: { type: Number, default: 1 },
+    active: { type: Boolean, default: false },
+    // Shipped with the server; cannot be edited or deleted
+    builtIn: { type: Boolean, default: false },
+  },
+  {
+    collection: "embedding_templates",
+    timestamps: true,
+  }
+);
+
+embeddingTemplateSchema.index({ active: 1 });
+
+// Export model, but only create it if it doesn't exist
+module.exports =
+  mongoose.models.EmbeddingTemplate ||
+  mongoose.model("EmbeddingTemplate", embeddingTemplateSchema);
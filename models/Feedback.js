@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// An agent's verdict on one search result for one query
+const feedbackSchema = new mongoose.Schema(
+  {
+    query: { type: String, required: true, trim: true },
+    // Lower-cased, single-spaced query; one vote per agent, query and document
+    normalizedQuery: { type: String, required: true },
+    // Query vector, so later searches can find feedback for similar queries
+    queryEmbedding: { type: [Number], default: [] },
+    embeddingModel: { type: String, default: null },
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      required: true,
+    },
+    // 1: the right answer for the caller, -1: wrong
+    vote: { type: Number, enum: [1, -1], required: true },
+    agent: { type: String, default: null, trim: true },
+  },
+  {
+    collection: "search_feedback",
+    timestamps: true,
+  }
+);
+
+feedbackSchema.index({ documentId: 1, embeddingModel: 1, updatedAt: -1 });
+feedbackSchema.index(
+  { agent: 1, normalizedQuery: 1, documentId: 1 },
+  { unique: true }
+);
+
+// Export model, but only create it if it doesn't exist
+module.exports =
+  mongoose.models.Feedback || mongoose.model("Feedback", feedbackSchema);
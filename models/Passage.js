@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Overlapping slice of a long KccAns answer, embedded on its own
+const passageSchema = new mongoose.Schema(
+  {
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      required: true,
+    },
+    index: { type: Number, required: true },
+    text: { type: String, required: true },
+    // Character offsets of the passage within the parent's KccAns
+    start: { type: Number, required: true },
+    end: { type: Number, required: true },
+    // Copied from the parent so search filters apply before the limit
+    StateName: { type: String },
+    DistrictName: { type: String },
+    BlockName: { type: String },
+    Crop: { type: String },
+    Season: { type: String },
+    Category: { type: String },
+    QueryType: { type: String },
+    year: { type: Number },
+    month: { type: Number },
+    CreatedOn: { type: Date },
+    filterKeys: {
+      StateName: { type: String },
+      DistrictName: { type: String },
+      BlockName: { type: String },
+      Crop: { type: String },
+      Season: { type: String },
+      Category: { type: String },
+      QueryType: { type: String },
+    },
+    parentFieldsAt: { type: Date, default: null },
+    embedding: { type: [Number], default: [] },
+    embeddingModel: { type: String, default: null },
+    embeddedAt: { type: Date, default: null },
+  },
+  {
+    collection: "passages",
+    timestamps: true,
+  }
+);
+
+passageSchema.index({ documentId: 1, index: 1 }, { unique: true });
+passageSchema.index({ embeddingModel: 1 });
+passageSchema.index({ parentFieldsAt: 1 });
+
+// Export model, but only create it if it doesn't exist
+module.exports =
+  mongoose.models.Passage || mongoose.model("Passage", passageSchema);
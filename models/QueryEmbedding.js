@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Cached embedding of a search query, shared between server instances
+const queryEmbeddingSchema = new mongoose.Schema(
+  {
+    // "<provider>|<normalized query>"
+    key: { type: String, required: true, unique: true },
+    embeddingModel: { type: String, required: true },
+    embedding: { type: [Number], default: [] },
+    // MongoDB removes the entry once this passes (TTL index below)
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    collection: "query_embeddings",
+    timestamps: true,
+  }
+);
+
+queryEmbeddingSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export model, but only create it if it doesn't exist
+module.exports =
+  mongoose.models.QueryEmbedding ||
+  mongoose.model("QueryEmbedding", queryEmbeddingSchema);
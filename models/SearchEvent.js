@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// Events older than this are removed by MongoDB (0 keeps them forever)
+const ttlDays = parseInt(process.env.SEARCH_EVENT_TTL_DAYS);
+const SEARCH_EVENT_TTL_DAYS =
+  Number.isFinite(ttlDays) && ttlDays >= 0 ? ttlDays : 90;
+
+// One /api/search call, recorded for the analytics reports
+const searchEventSchema = new mongoose.Schema(
+  {
+    query: { type: String, default: "" },
+    // Lower-cased, single-spaced query; reports group on this
+    normalizedQuery: { type: String, default: "" },
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // State the search was restricted to (StateName filter or location)
+    state: { type: String, default: null },
+    mode: { type: String, default: "vector" },
+    // Later pages of a search are recorded with nextPage: true
+    nextPage: { type: Boolean, default: false },
+    topK: { type: Number, default: null },
+    // Milliseconds: total plus the pipeline stages that ran
+    latency: {
+      total: { type: Number, default: 0 },
+      embedding: { type: Number, default: undefined },
+      search: { type: Number, default: undefined },
+      intent: { type: Number, default: undefined },
+      rerank: { type: Number, default: undefined },
+      feedback: { type: Number, default: undefined },
+      diversity: { type: Number, default: undefined },
+    },
+    resultIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+    resultsCount: { type: Number, default: 0 },
+    topScore: { type: Number, default: null },
+    zeroResults: { type: Boolean, default: false },
+    confidenceBand: { type: String, default: null },
+    fromCache: { type: Boolean, default: false },
+  },
+  {
+    collection: "search_events",
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+searchEventSchema.index(
+  { createdAt: 1 },
+  SEARCH_EVENT_TTL_DAYS > 0
+    ? { expireAfterSeconds: SEARCH_EVENT_TTL_DAYS * 24 * 60 * 60 }
+    : {}
+);
+searchEventSchema.index({ normalizedQuery: 1, createdAt: -1 });
+searchEventSchema.index({ zeroResults: 1, createdAt: -1 });
+searchEventSchema.index({ state: 1, createdAt: -1 });
+
+// Export model, but only create it if it doesn't exist
+module.exports =
+  mongoose.models.SearchEvent ||
+  mongoose.model("SearchEvent", searchEventSchema);
@@ -5,6 +5,14 @@ let backgroundEmbeddingStatus = null;
 let backgroundStatusInterval = null;
 let logsAutoRefreshInterval = null;
 
+// Pagination state for the results list ("Load more")
+let nextPageCursor = null;
+let nextPageSource = null; // "search" or "latest"
+// Query the shown results were searched with; cards offer feedback for it
+let feedbackQuery = null;
+// Key votes are recorded under when no agent name is given
+const FEEDBACK_SESSION_KEY = "kcc-feedback-session";
+
 // Initialize the application
 document.addEventListener("DOMContentLoaded", function () {
   initializeApp();
@@ -56,6 +64,18 @@ function setupEventListeners() {
   document
     .getElementById("clear-logs-btn")
     .addEventListener("click", clearLogs);
+  document
+    .getElementById("load-more-btn")
+    .addEventListener("click", loadMoreResults);
+  document
+    .getElementById("search-results")
+    .addEventListener("click", (event) => {
+      const button = event.target.closest(".more-like-this");
+      if (button) showSimilarDocuments(button.dataset.id);
+
+      const voteButton = event.target.closest(".feedback-vote");
+      if (voteButton) sendFeedback(voteButton);
+    });
 
   // Search input - Enter key and real-time search
   const searchInput = document.getElementById("search-query");
@@ -79,6 +99,7 @@ function setupEventListeners() {
     if (!query) {
       document.getElementById("search-results").innerHTML = "";
       document.getElementById("results-count").textContent = "0 results";
+      setNextPage(null);
       return;
     }
 
@@ -301,7 +322,12 @@ async function generateEmbeddings() {
 async function performSearch() {
   const query = document.getElementById("search-query").value.trim();
   const limit = parseInt(document.getElementById("search-limit").value);
-  const method = document.getElementById("search-method").value;
+  const strategy = document.getElementById("search-method").value;
+  const rerank = document.getElementById("search-rerank").checked;
+  const boosts = document.getElementById("search-boosts").checked;
+  const diversify = document.getElementById("search-diversify").checked;
+  const intent = document.getElementById("search-intent").checked;
+  const feedback = document.getElementById("search-feedback").checked;
 
   // If query is empty or just started typing (less than 2 characters), show latest data
   if (!query || query.length < 2) {
@@ -330,10 +356,8 @@ async function performSearch() {
     addLog(`🔍 Searching for: "${query}"`, "info");
 
     const searchStartTime = Date.now();
-    const endpoint =
-      method === "vector" ? "/api/search" : "/api/search-fallback";
 
-    const response = await fetch(endpoint, {
+    const response = await fetch("/api/search", {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -342,6 +366,14 @@ async function performSearch() {
         query: query,
         topK: limit,
         filters: filters,
+        strategy: strategy,
+        rerank: rerank,
+        boosts: boosts,
+        collapseDuplicates: diversify,
+        mmr: diversify,
+        facets: FACET_CHIP_FIELDS,
+        intent: intent,
+        feedback: feedback,
       }),
     });
 
@@ -349,17 +381,35 @@ async function performSearch() {
     const searchTime = Date.now() - searchStartTime;
 
     if (response.ok) {
+      feedbackQuery = query;
       displaySearchResults(result.results, query, searchTime);
+      showConfidence(result.confidence);
+      showFacets(result.facets);
+      showIntentSuggestions(result.intent);
+      if (result.fromCache) {
+        addLog(
+          `♻️ Reused results for "${result.resultCache.query}" (similarity ${result.resultCache.similarity})`,
+          "info"
+        );
+      }
+      if (result.noConfidentAnswer) {
+        displayNoConfidentAnswer(query, result.message);
+        addLog(`⚠️ No confident answer for "${query}"`, "warning");
+      }
+      setNextPage(result.nextCursor, "search");
       updateLastSearchTime(searchTime);
       addLog(
-        `✅ Search completed in ${searchTime}ms - Found ${result.results.length} results`,
+        `✅ Search completed in ${searchTime}ms - Found ${result.results.length} results (strategy: ${result.strategy})`,
         "success"
       );
     } else {
       addLog(`❌ Search failed: ${result.error}`, "error");
-      if (method === "vector" && result.error.includes("vectorSearch")) {
-        addLog("🔄 Trying fallback search method...", "warning");
-        document.getElementById("search-method").value = "fallback";
+      if (
+        strategy === "atlas-vector" &&
+        result.message?.includes("vectorSearch")
+      ) {
+        addLog("🔄 Trying linear search instead...", "warning");
+        document.getElementById("search-method").value = "linear";
         setTimeout(performSearch, 1000);
       }
     }
@@ -383,7 +433,7 @@ async function showLatestData(limit = 10) {
     const startTime = Date.now();
 
     // Build query string
-    let queryString = `limit=${limit}`;
+    let queryString = `limit=${limit}&facets=${FACET_CHIP_FIELDS.join(",")}`;
     if (Object.keys(filters).length > 0) {
       queryString += "&filters=" + encodeURIComponent(JSON.stringify(filters));
     }
@@ -395,6 +445,9 @@ async function showLatestData(limit = 10) {
     if (response.ok) {
       // Display results with a special indicator that these are latest documents
       displaySearchResults(result.results, "Latest Data", fetchTime, true);
+      showConfidence(null);
+      showFacets(result.facets);
+      setNextPage(result.nextCursor, "latest");
       updateLastSearchTime(fetchTime);
       addLog(
         `📅 Latest data fetched in ${fetchTime}ms - Found ${result.results.length} newest documents`,
@@ -408,6 +461,60 @@ async function showLatestData(limit = 10) {
   }
 }
 
+// Remember the cursor for the next page and show/hide "Load more"
+function setNextPage(cursor, source) {
+  nextPageCursor = cursor || null;
+  nextPageSource = cursor ? source : null;
+  document.getElementById("load-more-container").style.display = nextPageCursor
+    ? "block"
+    : "none";
+}
+
+async function loadMoreResults() {
+  if (!nextPageCursor) return;
+
+  const limit = parseInt(document.getElementById("search-limit").value);
+  const isLatestData = nextPageSource === "latest";
+
+  try {
+    const startTime = Date.now();
+    const response = isLatestData
+      ? await fetch(
+          `/api/latest-data?limit=${limit}&cursor=${encodeURIComponent(
+            nextPageCursor
+          )}`
+        )
+      : await fetch("/api/search", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ cursor: nextPageCursor, topK: limit }),
+        });
+    const result = await response.json();
+    const fetchTime = Date.now() - startTime;
+
+    if (response.ok) {
+      displaySearchResults(
+        result.results,
+        result.query,
+        fetchTime,
+        isLatestData,
+        true
+      );
+      setNextPage(result.nextCursor, nextPageSource);
+      addLog(
+        `📄 Loaded ${result.results.length} more results in ${fetchTime}ms`,
+        "success"
+      );
+    } else {
+      addLog(`❌ Failed to load more results: ${result.error}`, "error");
+    }
+  } catch (error) {
+    addLog(`❌ Load more error: ${error.message}`, "error");
+  }
+}
+
 async function refreshSystemStatus() {
   try {
     const response = await fetch("/api/status");
@@ -468,18 +575,157 @@ function updateLastSearchTime(time) {
   document.getElementById("last-search-time").textContent = time + "ms";
 }
 
+/**
+ * Show the confidence band of the last search next to the result count
+ */
+function showConfidence(confidence) {
+  const badge = document.getElementById("confidence-badge");
+  if (!confidence) {
+    badge.classList.add("d-none");
+    return;
+  }
+
+  const colors = {
+    high: "bg-success",
+    medium: "bg-info",
+    low: "bg-warning",
+    none: "bg-danger",
+  };
+  badge.className = `badge ${colors[confidence.band] || "bg-secondary"}`;
+  badge.textContent = `${confidence.band} confidence`;
+}
+
+// Facets shown as chips, and the filter input each one fills in
+const FACET_CHIP_FIELDS = ["StateName", "Category"];
+const FACET_CHIP_INPUTS = {
+  StateName: "filter-state",
+  Category: "filter-category",
+};
+
+/**
+ * Show facet buckets as chips; clicking one toggles it as a filter and
+ * repeats the search (or the latest-data view)
+ */
+function showFacets(facets) {
+  const container = document.getElementById("search-facets");
+  container.innerHTML = "";
+  if (!facets) {
+    container.classList.add("d-none");
+    return;
+  }
+
+  for (const field of FACET_CHIP_FIELDS) {
+    const buckets = facets[field] || [];
+    if (buckets.length === 0) continue;
+
+    const input = document.getElementById(FACET_CHIP_INPUTS[field]);
+    const row = document.createElement("div");
+    row.className = "mb-2";
+
+    const label = document.createElement("small");
+    label.className = "text-muted me-2";
+    label.textContent = field === "StateName" ? "State:" : `${field}:`;
+    row.appendChild(label);
+
+    for (const bucket of buckets) {
+      const value = String(bucket.value);
+      const active = input.value.trim() === value;
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = `btn btn-sm rounded-pill me-1 mb-1 ${
+        active ? "btn-primary" : "btn-outline-secondary"
+      }`;
+      chip.textContent = `${value} (${bucket.count})`;
+      chip.addEventListener("click", () => {
+        input.value = active ? "" : value;
+        rerunWithFilters();
+      });
+      row.appendChild(chip);
+    }
+
+    container.appendChild(row);
+  }
+
+  container.classList.toggle("d-none", container.children.length === 0);
+}
+
+/**
+ * Offer confidently predicted labels that have a filter input as
+ * "Suggested" chips under the facets
+ */
+function showIntentSuggestions(intent) {
+  const container = document.getElementById("search-facets");
+  const suggestions = Object.entries(intent?.inferredFilters || {}).filter(
+    ([field]) => FACET_CHIP_INPUTS[field]
+  );
+  if (suggestions.length === 0) return;
+
+  const row = document.createElement("div");
+  row.className = "mb-2";
+
+  const label = document.createElement("small");
+  label.className = "text-muted me-2";
+  label.textContent = "Suggested:";
+  row.appendChild(label);
+
+  for (const [field, value] of suggestions) {
+    const confidence = Math.round(intent.predictions[field].confidence * 100);
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "btn btn-sm rounded-pill me-1 mb-1 btn-outline-success";
+    chip.textContent = `${field}: ${value} (${confidence}%)`;
+    chip.addEventListener("click", () => {
+      document.getElementById(FACET_CHIP_INPUTS[field]).value = value;
+      rerunWithFilters();
+    });
+    row.appendChild(chip);
+  }
+
+  container.appendChild(row);
+  container.classList.remove("d-none");
+}
+
+function rerunWithFilters() {
+  const query = document.getElementById("search-query").value.trim();
+  if (query.length >= 2) {
+    performSearch();
+  } else {
+    showLatestData(parseInt(document.getElementById("search-limit").value));
+  }
+}
+
+/**
+ * Replace the empty-results message with a prompt to escalate
+ */
+function displayNoConfidentAnswer(query, message) {
+  document.getElementById("search-results").innerHTML = `
+            <div class="text-center p-4">
+                <i class="fas fa-exclamation-triangle fa-3x mb-3 text-warning"></i>
+                <p class="fw-bold">No confident answer for "${query}"</p>
+                <p class="text-muted">${message}</p>
+                <small class="text-muted">Please escalate this query to an expert instead of reading out unrelated advice.</small>
+            </div>
+        `;
+}
+
 function displaySearchResults(
   results,
   query,
   searchTime,
-  isLatestData = false
+  isLatestData = false,
+  append = false
 ) {
   const resultsContainer = document.getElementById("search-results");
   const resultsCount = document.getElementById("results-count");
 
-  resultsCount.textContent = `${results.length} results`;
+  // When appending a page, numbering continues from the cards already shown
+  const offset = append
+    ? resultsContainer.querySelectorAll(".search-result").length
+    : 0;
+
+  resultsCount.textContent = `${offset + results.length} results`;
 
-  if (results.length === 0) {
+  if (results.length === 0 && !append) {
     resultsContainer.innerHTML = `
             <div class="text-center text-muted p-4">
                 <i class="fas fa-search fa-3x mb-3"></i>
@@ -502,6 +748,60 @@ function displaySearchResults(
     const similarity = result.similarity
       ? (result.similarity * 100).toFixed(1)
       : null;
+    const scoreBadge =
+      result.rerankScore !== undefined && result.rerankScore !== null
+        ? `Rerank ${(result.rerankScore * 100).toFixed(1)}%`
+        : similarity !== null
+        ? `${similarity}%`
+        : result.fusedScore
+        ? `RRF ${result.fusedScore.toFixed(4)}`
+        : "N/A";
+
+    // Hybrid and keyword searches report where each list ranked the result
+    const rankInfo =
+      result.vectorRank || result.lexicalRank
+        ? `<small class="text-muted">Vector rank: ${
+            result.vectorRank || "-"
+          } · Keyword rank: ${result.lexicalRank || "-"}</small>`
+        : "";
+
+    // Boosted searches show the final score next to the raw similarity
+    const boostInfo =
+      typeof result.finalScore === "number"
+        ? `<small class="text-muted">Final score: ${result.finalScore.toFixed(
+            4
+          )} (recency ×${result.recencyBoost.toFixed(
+            2
+          )}, season ×${result.seasonalBoost.toFixed(2)})</small>`
+        : "";
+
+    // Collapsed answers list how often and where else they were given
+    const duplicateInfo = result.duplicateCount
+      ? `<small class="text-muted d-block">Same answer given ${
+          result.duplicateCount
+        } more time${
+          result.duplicateCount === 1 ? "" : "s"
+        } in: ${result.locations
+          .map(
+            (location) =>
+              `${location.DistrictName || "N/A"}, ${
+                location.StateName || "N/A"
+              } (${location.count})`
+          )
+          .join("; ")}</small>`
+      : "";
+
+    // Long answers matched through a passage show it with the query marked
+    const passageInfo = result.passage
+      ? `<div class="mt-2">
+                    <small class="text-muted">Best matching passage (${(
+                      result.passage.similarity * 100
+                    ).toFixed(1)}%):</small>
+                    <p class="mb-0">${highlightSnippet(
+                      result.passage.snippet
+                    )}</p>
+                </div>`
+      : "";
 
     // Format date for latest data
     const createdDate = result.CreatedOn
@@ -512,9 +812,10 @@ function displaySearchResults(
     const cardClass = isLatestData
       ? "search-result latest-data-item"
       : "search-result";
+    const position = offset + index + 1;
     const headerText = isLatestData
-      ? `${index + 1}. ${result.Category || "General"} (${createdDate})`
-      : `${index + 1}. ${result.Category || "General"}`;
+      ? `${position}. ${result.Category || "General"} (${createdDate})`
+      : `${position}. ${result.Category || "General"}`;
 
     html += `
             <div class="${cardClass}">
@@ -523,9 +824,12 @@ function displaySearchResults(
                     ${
                       isLatestData
                         ? `<span class="badge bg-success">Latest</span>`
-                        : `<span class="similarity-score">${similarity}%</span>`
+                        : `<span class="similarity-score">${scoreBadge}</span>`
                     }
                 </div>
+                ${rankInfo}
+                ${boostInfo}
+                ${duplicateInfo}
                 <div class="row">
                     <div class="col-md-6">
                         <small class="text-muted">Location:</small>
@@ -552,6 +856,7 @@ function displaySearchResults(
                       200
                     )}</p>
                 </div>
+                ${passageInfo}
                 ${
                   isLatestData
                     ? `
@@ -562,11 +867,149 @@ function displaySearchResults(
                 `
                     : ""
                 }
+                <div class="mt-2 d-flex justify-content-between align-items-center">
+                    <div>${
+                      isLatestData || !feedbackQuery
+                        ? ""
+                        : feedbackButtons(result, feedbackQuery)
+                    }</div>
+                    <button class="btn btn-link btn-sm p-0 more-like-this" data-id="${
+                      result.id
+                    }">
+                        <i class="fas fa-clone"></i> More like this
+                    </button>
+                </div>
             </div>
         `;
   });
 
-  resultsContainer.innerHTML = html;
+  if (append) {
+    resultsContainer.insertAdjacentHTML("beforeend", html);
+  } else {
+    resultsContainer.innerHTML = html;
+  }
+}
+
+/**
+ * Thumbs up/down for a search result; earlier votes on similar queries are
+ * shown when feedback ranking is on
+ */
+function feedbackButtons(result, query) {
+  const votes = result.feedbackVotes
+    ? `<small class="text-muted ms-1">${result.feedbackVotes.up} 👍 · ${result.feedbackVotes.down} 👎</small>`
+    : "";
+  const button = (vote, icon, title) => `
+                        <button class="btn btn-outline-secondary btn-sm feedback-vote" data-id="${
+                          result.id
+                        }" data-vote="${vote}" data-query="${encodeURIComponent(
+    query
+  )}" title="${title}">
+                            <i class="fas ${icon}"></i>
+                        </button>`;
+  return `${button("up", "fa-thumbs-up", "Right answer")}${button(
+    "down",
+    "fa-thumbs-down",
+    "Wrong answer"
+  )}${votes}`;
+}
+
+/**
+ * Anonymous agent key for this browser session, so a voter without a name
+ * still replaces their own earlier vote
+ */
+function feedbackSessionKey() {
+  let key = sessionStorage.getItem(FEEDBACK_SESSION_KEY);
+  if (!key) {
+    key = `session-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 10)}`;
+    sessionStorage.setItem(FEEDBACK_SESSION_KEY, key);
+  }
+  return key;
+}
+
+/**
+ * Record the agent's vote on a result
+ */
+async function sendFeedback(button) {
+  const vote = button.dataset.vote;
+  const agent =
+    document.getElementById("agent-name").value.trim() || feedbackSessionKey();
+
+  try {
+    const response = await fetch("/api/feedback", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        query: decodeURIComponent(button.dataset.query),
+        documentId: button.dataset.id,
+        vote,
+        agent,
+      }),
+    });
+    const result = await response.json();
+
+    if (response.ok) {
+      // Highlight the chosen vote on this card
+      for (const other of button.parentElement.querySelectorAll(
+        ".feedback-vote"
+      )) {
+        other.classList.remove("btn-success", "btn-danger");
+        other.classList.add("btn-outline-secondary");
+      }
+      button.classList.remove("btn-outline-secondary");
+      button.classList.add(vote === "up" ? "btn-success" : "btn-danger");
+      addLog(`${vote === "up" ? "👍" : "👎"} Feedback recorded`, "success");
+    } else {
+      addLog(`❌ Feedback failed: ${result.message || result.error}`, "error");
+    }
+  } catch (error) {
+    addLog(`❌ Feedback error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Show documents similar to a result, using its stored embedding
+ */
+async function showSimilarDocuments(id) {
+  const limit = parseInt(document.getElementById("search-limit").value);
+
+  try {
+    addLog("🔗 Finding documents similar to the selected result", "info");
+
+    const startTime = Date.now();
+    const response = await fetch(
+      `/api/documents/${encodeURIComponent(id)}/similar?topK=${limit}`
+    );
+    const result = await response.json();
+    const fetchTime = Date.now() - startTime;
+
+    if (response.ok) {
+      feedbackQuery = null;
+      displaySearchResults(
+        result.results,
+        `similar to "${truncateText(result.source.QueryText || "", 60)}"`,
+        fetchTime
+      );
+      showConfidence(null);
+      showFacets(null);
+      setNextPage(null);
+      updateLastSearchTime(fetchTime);
+      addLog(
+        `✅ Found ${result.results.length} similar documents in ${fetchTime}ms (${result.excludedDuplicates} duplicates skipped)`,
+        "success"
+      );
+    } else {
+      addLog(
+        `❌ Similar documents failed: ${result.message || result.error}`,
+        "error"
+      );
+    }
+  } catch (error) {
+    addLog(`❌ Similar documents error: ${error.message}`, "error");
+  }
 }
 
 function truncateText(text, maxLength) {
@@ -574,6 +1017,22 @@ function truncateText(text, maxLength) {
   return text.substring(0, maxLength) + "...";
 }
 
+/**
+ * Wrap the highlighted ranges of a passage snippet in <mark>
+ */
+function highlightSnippet(snippet) {
+  let html = "";
+  let last = 0;
+  for (const { start, end } of snippet.highlights) {
+    html += `${snippet.text.slice(last, start)}<mark>${snippet.text.slice(
+      start,
+      end
+    )}</mark>`;
+    last = end;
+  }
+  return html + snippet.text.slice(last);
+}
+
 function showProgress(text) {
   document.querySelector(".progress-container").style.display = "block";
   document.getElementById("progress-text").textContent = text;
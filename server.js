@@ -28,13 +28,67 @@ let isInitializing = false;
 
 // Import semantic search functions
 let semanticSearchModule;
+let searchPipeline;
+let searchStrategies;
 try {
   semanticSearchModule = require("./services/semantic-search");
+  searchPipeline = require("./services/search-pipeline");
+  searchStrategies = require("./services/search-strategies");
   console.log("✅ Semantic search module loaded");
 } catch (error) {
   console.error("❌ Failed to load semantic search module:", error.message);
 }
 
+// Shared filter grammar for search and latest-data endpoints
+const {
+  parseFilters,
+  compileMongoFilter,
+  FilterValidationError,
+} = require("./services/search-filters");
+const {
+  encodeCursor,
+  decodeCursor,
+  latestAfterPositionFilter,
+  CursorError,
+} = require("./services/search-cursor");
+const {
+  isValidMinScore,
+  resolveMinScore,
+  applyMinScore,
+  assessConfidence,
+  NO_CONFIDENT_ANSWER_MESSAGE,
+} = require("./services/search-confidence");
+const {
+  parseBoosts,
+  BoostValidationError,
+} = require("./services/ranking-boosts");
+const {
+  validateLocationRequest,
+  LocationValidationError,
+} = require("./services/location-search");
+const {
+  parseDiversity,
+  DiversityValidationError,
+} = require("./services/result-diversity");
+const {
+  parseFacets,
+  aggregateFacets,
+  FacetValidationError,
+} = require("./services/search-facets");
+const {
+  parseMatchOn,
+  MatchOnValidationError,
+} = require("./services/match-targets");
+const embeddingTemplates = require("./services/embedding-templates");
+const {
+  parseIntent,
+  classifyIntent,
+  IntentValidationError,
+} = require("./services/intent-classifier");
+const resultCache = require("./services/result-cache");
+const relevanceFeedback = require("./services/relevance-feedback");
+const searchAnalytics = require("./services/search-analytics");
+
 // Import background embedding service
 let backgroundEmbeddingService;
 try {
@@ -61,22 +115,57 @@ async function initializeSystem() {
     await semanticSearchModule.connectToMongoDB();
 
     // Initialize the embedding model
-    await semanticSearchModule.initializeEmbeddingPipeline();
+    const provider = await semanticSearchModule.initializeEmbeddingPipeline();
+
+    // Load the template documents are embedded with
+    await embeddingTemplates.loadEmbeddingTemplates();
 
-    // Check if embeddings exist
+    // Attribute embeddings stored before model tracking to their model
+    await semanticSearchModule.stampLegacyEmbeddings();
+
+    // Check if embeddings from the active model exist
     const Document = require("./models/Document");
-    const documentsWithEmbeddings = await Document.countDocuments({
-      embedding: { $exists: true, $ne: [] },
-    });
+    const documentsWithEmbeddings = await Document.countDocuments(
+      semanticSearchModule.activeModelFilter()
+    );
 
     const totalDocuments = await Document.countDocuments();
 
     console.log(
-      `📊 Documents with embeddings: ${documentsWithEmbeddings}/${totalDocuments}`
+      `📊 Documents with ${provider.name} embeddings: ${documentsWithEmbeddings}/${totalDocuments}`
     );
 
+    const { staleDocuments } =
+      await semanticSearchModule.getEmbeddingModelStats();
+    if (staleDocuments > 0) {
+      console.log(
+        `⚠️ ${staleDocuments} documents were embedded with another model and are excluded from search. Run POST /api/embeddings/migrate to re-embed them.`
+      );
+    }
+
+    const staleTemplateDocuments = await Document.countDocuments(
+      embeddingTemplates.staleTemplateFilter()
+    );
+    if (staleTemplateDocuments > 0) {
+      console.log(
+        `ℹ️ ${staleTemplateDocuments} documents were embedded with another template than ${
+          embeddingTemplates.getActiveTemplate().key
+        }. Start a "template" background job to re-embed them.`
+      );
+    }
+
     isEmbeddingsReady = documentsWithEmbeddings > 0;
     console.log("✅ System initialized successfully!");
+
+    // Load (or build) the ANN index without holding up startup
+    semanticSearchModule.annIndex.loadOrBuild().catch((error) => {
+      console.error("❌ ANN index initialization error:", error.message);
+    });
+
+    // Pick the vector search strategy "auto" resolves to
+    searchStrategies.detectSearchStrategy().catch((error) => {
+      console.error("❌ Search strategy detection error:", error.message);
+    });
   } catch (error) {
     console.error("❌ System initialization error:", error);
   } finally {
@@ -89,6 +178,7 @@ async function processRecordBatch(records) {
   try {
     const Document = require("./models/Document");
     const result = await Document.insertMany(records, { ordered: false });
+    resultCache.invalidate("CSV import");
     return result.length;
   } catch (error) {
     console.error("Batch insert error:", error);
@@ -110,6 +200,13 @@ app.get("/", (req, res) => {
       uploadCSV: "POST /api/upload-csv",
       search: "POST /api/search",
       searchFallback: "POST /api/search-fallback",
+      searchStrategies: {
+        list: "GET /api/search/strategies",
+        detect: "POST /api/search/strategies/detect",
+      },
+      similarDocuments: "GET /api/documents/:id/similar",
+      intent: "POST /api/intent",
+      feedback: "POST /api/feedback",
       latestData: "GET /api/latest-data",
       generateEmbeddings: "POST /api/generate-embeddings",
       backgroundEmbeddings: {
@@ -129,6 +226,28 @@ app.get("/", (req, res) => {
         stop: "POST /api/csv-queue/stop",
         start: "POST /api/csv-queue/start",
       },
+      embeddings: {
+        models: "GET /api/embeddings/models",
+        migrate: "POST /api/embeddings/migrate",
+      },
+      embeddingTemplates: {
+        list: "GET /api/embedding-templates",
+        save: "PUT /api/embedding-templates/:name",
+        activate: "POST /api/embedding-templates/:name/activate",
+        delete: "DELETE /api/embedding-templates/:name",
+        preview: "POST /api/embedding-templates/preview",
+      },
+      annIndex: {
+        status: "GET /api/ann-index/status",
+        save: "POST /api/ann-index/save",
+        rebuild: "POST /api/ann-index/rebuild",
+      },
+      analytics: {
+        topQueries: "GET /api/analytics/top-queries",
+        zeroResults: "GET /api/analytics/zero-results",
+        latency: "GET /api/analytics/latency",
+        states: "GET /api/analytics/states",
+      },
       status: "GET /api/status",
     },
   });
@@ -167,9 +286,22 @@ app.get("/api/status", async (req, res) => {
             : "0%",
       },
       embeddingsReady: isEmbeddingsReady,
+      embeddingProvider: semanticSearchModule
+        ? semanticSearchModule.describeEmbeddingProvider()
+        : null,
       isInitializing,
       backgroundEmbedding: backgroundStatus,
       csvQueue: csvQueueStatus,
+      annIndex: semanticSearchModule
+        ? semanticSearchModule.annIndex.getStatus()
+        : null,
+      queryEmbeddingCache: semanticSearchModule
+        ? semanticSearchModule.queryEmbeddingCache.getStatus()
+        : null,
+      resultCache: resultCache.getStatus(),
+      searchStrategy: searchStrategies
+        ? searchStrategies.getStrategyStatus()
+        : null,
     });
   } catch (error) {
     res.status(500).json({
@@ -222,11 +354,17 @@ app.post("/api/upload-csv", upload.single("csvFile"), async (req, res) => {
     } else {
       // Process immediately (legacy behavior)
       const Document = require("./models/Document");
+      const Passage = require("./models/Passage");
 
-      // Clear existing documents if requested
+      // Clear existing documents (and their passages) if requested
       if (clearExisting) {
         console.log("🗑️ Clearing existing documents...");
         await Document.deleteMany({});
+        await Passage.deleteMany({});
+        resultCache.invalidate("documents cleared");
+        if (semanticSearchModule) {
+          semanticSearchModule.annIndex.clear();
+        }
       }
 
       // Process CSV file
@@ -356,36 +494,162 @@ app.post("/api/search", async (req, res) => {
       });
     }
 
-    const { query, topK = 10, filters = {} } = req.body;
-
-    if (!query) {
+    const {
+      query,
+      topK = 10,
+      filters = {},
+      mode = "vector",
+      cursor = null,
+      rerank = false,
+      rerankTopN,
+      minScore,
+      boosts,
+      location,
+      mmr = false,
+      mmrLambda,
+      collapseDuplicates = false,
+      duplicateThreshold,
+      facets,
+      matchOn,
+      intent,
+      feedback,
+      cache,
+      strategy,
+    } = req.body;
+
+    if (!query && !cursor) {
       return res.status(400).json({
         error: "Query parameter is required",
       });
     }
 
-    console.log(`🔍 Vector search request: "${query}" (topK: ${topK})`);
+    if (!cursor) {
+      // Validate filters up front so bad input is a 400, not a failed search
+      parseFilters(filters);
+
+      if (!semanticSearchModule.SEARCH_MODES.includes(mode)) {
+        return res.status(400).json({
+          error: "Invalid search mode",
+          message: `mode must be one of: ${semanticSearchModule.SEARCH_MODES.join(
+            ", "
+          )}`,
+        });
+      }
+
+      if (minScore != null && !isValidMinScore(minScore)) {
+        return res.status(400).json({
+          error: "Invalid minScore",
+          message: "minScore must be a number between -1 and 1",
+        });
+      }
+
+      parseBoosts(boosts);
+
+      validateLocationRequest(location, filters);
+      parseDiversity({
+        mmr,
+        mmrLambda,
+        collapseDuplicates,
+        duplicateThreshold,
+      });
+      parseFacets(facets);
+      parseMatchOn(matchOn);
+      parseIntent(intent);
+      relevanceFeedback.parseFeedbackBoost(feedback);
+
+      if (cache !== undefined && typeof cache !== "boolean") {
+        return res.status(400).json({
+          error: "Invalid cache",
+          message: "cache must be true or false",
+        });
+      }
+
+      searchStrategies.resolveSearchStrategy(strategy, mode);
+    }
+
+    console.log(
+      `🔍 ${mode} search request: "${query || "(next page)"}" (topK: ${topK})`
+    );
 
     const startTime = Date.now();
-    const results = await semanticSearchModule.semanticSearch(
+    const page = await searchPipeline.runSearch({
       query,
       topK,
-      filters
-    );
+      filters,
+      mode,
+      cursor,
+      rerank,
+      rerankTopN,
+      minScore,
+      boosts,
+      location,
+      mmr,
+      mmrLambda,
+      collapseDuplicates,
+      duplicateThreshold,
+      facets,
+      matchOn,
+      intent,
+      feedback,
+      cache,
+      strategy,
+    });
     const searchTime = Date.now() - startTime;
+    const results = page.results;
 
     res.json({
       success: true,
-      query,
-      topK,
-      filters,
+      query: page.query,
+      topK: page.topK,
+      filters: page.filters,
+      mode: page.mode,
+      strategy: page.strategy,
+      vectorStrategy: page.vectorStrategy,
       resultsCount: results.length,
       searchTime: `${searchTime}ms`,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore,
+      reranker: page.reranker,
+      minScore: page.minScore,
+      boosts: page.boosts,
+      location: page.location,
+      diversity: page.diversity,
+      matchOn: page.matchOn,
+      intent: page.intent,
+      feedback: page.feedback,
+      facets: page.facets,
+      filteredOut: page.filteredOut,
+      confidence: page.confidence,
+      noConfidentAnswer: page.noConfidentAnswer,
+      message: page.message,
+      fromCache: Boolean(page.resultCache),
+      resultCache: page.resultCache,
       results: results.map((result) => ({
         id: result._id,
+        score: result.score,
+        originalScore: result.originalScore,
+        rerankScore: result.rerankScore,
         similarity: result.similarity,
+        baseScore: result.baseScore,
+        finalScore: result.finalScore,
+        recencyBoost: result.recencyBoost,
+        seasonalBoost: result.seasonalBoost,
+        intentBoost: result.intentBoost,
+        feedbackBoost: result.feedbackBoost,
+        feedbackVotes: result.feedbackVotes,
+        vectorRank: result.vectorRank,
+        lexicalRank: result.lexicalRank,
+        lexicalScore: result.lexicalScore,
+        fusedScore: result.fusedScore,
+        mmrScore: result.mmrScore,
+        duplicateCount: result.duplicateCount,
+        duplicateIds: result.duplicateIds,
+        locations: result.locations,
+        locationLevel: result.locationLevel,
+        passage: result.passage,
         StateName: result.StateName,
         DistrictName: result.DistrictName,
+        BlockName: result.BlockName,
         Category: result.Category,
         QueryType: result.QueryType,
         QueryText: result.QueryText,
@@ -395,7 +659,83 @@ app.post("/api/search", async (req, res) => {
         CreatedOn: result.CreatedOn,
       })),
     });
+
+    // Stored in the background; a failed write never fails the search
+    searchAnalytics.recordSearchEvent(page, {
+      searchTime,
+      nextPage: Boolean(cursor),
+    });
   } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({
+        error: "Invalid filters",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof CursorError) {
+      return res.status(400).json({
+        error: "Invalid cursor",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof BoostValidationError) {
+      return res.status(400).json({
+        error: "Invalid boosts",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof LocationValidationError) {
+      return res.status(400).json({
+        error: "Invalid location",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof DiversityValidationError) {
+      return res.status(400).json({
+        error: "Invalid diversity options",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof FacetValidationError) {
+      return res.status(400).json({
+        error: "Invalid facets",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof MatchOnValidationError) {
+      return res.status(400).json({
+        error: "Invalid matchOn",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof IntentValidationError) {
+      return res.status(400).json({
+        error: "Invalid intent",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof relevanceFeedback.FeedbackValidationError) {
+      return res.status(400).json({
+        error: "Invalid feedback",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof searchStrategies.StrategyValidationError) {
+      return res.status(400).json({
+        error: "Invalid strategy",
+        message: error.message,
+      });
+    }
+
     console.error("❌ Search error:", error);
     res.status(500).json({
       error: "Search failed",
@@ -415,7 +755,7 @@ app.post("/api/search-fallback", async (req, res) => {
       });
     }
 
-    const { query, topK = 10, filters = {} } = req.body;
+    const { query, topK = 10, filters = {}, minScore } = req.body;
 
     if (!query) {
       return res.status(400).json({
@@ -423,15 +763,27 @@ app.post("/api/search-fallback", async (req, res) => {
       });
     }
 
+    parseFilters(filters);
+
+    if (minScore != null && !isValidMinScore(minScore)) {
+      return res.status(400).json({
+        error: "Invalid minScore",
+        message: "minScore must be a number between -1 and 1",
+      });
+    }
+    const threshold = resolveMinScore(minScore);
+
     console.log(`🔍 Fallback search request: "${query}" (topK: ${topK})`);
 
     const startTime = Date.now();
-    const results = await semanticSearchModule.semanticSearchFallback(
-      query,
-      topK,
-      filters
+    const { results, filteredOut } = applyMinScore(
+      await semanticSearchModule.semanticSearchFallback(query, topK, filters, {
+        passages: false,
+      }),
+      threshold
     );
     const searchTime = Date.now() - startTime;
+    const confidence = assessConfidence(results, threshold);
 
     res.json({
       success: true,
@@ -440,6 +792,11 @@ app.post("/api/search-fallback", async (req, res) => {
       filters,
       resultsCount: results.length,
       searchTime: `${searchTime}ms`,
+      minScore: threshold,
+      filteredOut,
+      confidence,
+      noConfidentAnswer: confidence.band === "none",
+      message: confidence.band === "none" ? NO_CONFIDENT_ANSWER_MESSAGE : null,
       results: results.map((result) => ({
         id: result._id,
         similarity: result.similarity,
@@ -455,6 +812,13 @@ app.post("/api/search-fallback", async (req, res) => {
       })),
     });
   } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({
+        error: "Invalid filters",
+        message: error.message,
+      });
+    }
+
     console.error("❌ Fallback search error:", error);
     res.status(500).json({
       error: "Fallback search failed",
@@ -463,24 +827,194 @@ app.post("/api/search-fallback", async (req, res) => {
   }
 });
 
+/**
+ * "More like this": documents similar to a stored document
+ */
+app.get("/api/documents/:id/similar", async (req, res) => {
+  try {
+    if (!searchPipeline) {
+      return res.status(503).json({
+        error: "Similar documents not available",
+      });
+    }
+
+    const { topK = 10, filters = {} } = req.query;
+    console.log(`🔗 Similar documents request for ${req.params.id}`);
+
+    const startTime = Date.now();
+    const page = await searchPipeline.findSimilarDocuments(req.params.id, {
+      topK,
+      filters,
+    });
+    const searchTime = Date.now() - startTime;
+
+    res.json({
+      success: true,
+      source: {
+        id: page.source._id,
+        QueryText: page.source.QueryText,
+        KccAns: page.source.KccAns,
+        StateName: page.source.StateName,
+        DistrictName: page.source.DistrictName,
+        Crop: page.source.Crop,
+      },
+      topK: page.topK,
+      filters: page.filters,
+      resultsCount: page.results.length,
+      excludedDuplicates: page.excludedDuplicates,
+      searchTime: `${searchTime}ms`,
+      results: page.results.map((result) => ({
+        id: result._id,
+        similarity: result.similarity,
+        passage: result.passage,
+        StateName: result.StateName,
+        DistrictName: result.DistrictName,
+        Category: result.Category,
+        QueryType: result.QueryType,
+        QueryText: result.QueryText,
+        KccAns: result.KccAns,
+        Crop: result.Crop,
+        Season: result.Season,
+        CreatedOn: result.CreatedOn,
+      })),
+    });
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({
+        error: "Invalid filters",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof searchPipeline.SimilarDocumentError) {
+      return res.status(error.statusCode).json({
+        error: "Cannot find similar documents",
+        message: error.message,
+      });
+    }
+
+    console.error("❌ Similar documents error:", error);
+    res.status(500).json({
+      error: "Similar documents search failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Predict Crop, Category and QueryType for a query from its nearest
+ * labelled neighbours
+ */
+app.post("/api/intent", async (req, res) => {
+  try {
+    if (!semanticSearchModule) {
+      return res.status(503).json({
+        error: "Semantic search module not available",
+      });
+    }
+
+    const { query, k, threshold, filters = {} } = req.body;
+    if (!query || typeof query !== "string") {
+      return res.status(400).json({
+        error: "Query parameter is required",
+      });
+    }
+    parseFilters(filters);
+
+    const startTime = Date.now();
+    const intent = await classifyIntent(query, { k, threshold, filters });
+
+    res.json({
+      success: true,
+      query,
+      ...intent,
+      classifyTime: `${Date.now() - startTime}ms`,
+    });
+  } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({
+        error: "Invalid filters",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof IntentValidationError) {
+      return res.status(400).json({
+        error: "Invalid intent options",
+        message: error.message,
+      });
+    }
+
+    console.error("❌ Intent classification error:", error);
+    res.status(500).json({
+      error: "Intent classification failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Record an agent's verdict on a search result: { query, documentId,
+ * vote: "up" | "down", agent }
+ */
+app.post("/api/feedback", async (req, res) => {
+  try {
+    if (!semanticSearchModule) {
+      return res.status(503).json({
+        error: "Semantic search module not available",
+      });
+    }
+
+    const feedback = await relevanceFeedback.recordFeedback(req.body);
+    console.log(
+      `${feedback.vote > 0 ? "👍" : "👎"} Feedback on ${
+        feedback.documentId
+      } for "${feedback.query}"`
+    );
+
+    res.json({ success: true, feedback });
+  } catch (error) {
+    if (error instanceof relevanceFeedback.FeedbackValidationError) {
+      return res.status(error.statusCode).json({
+        error:
+          error.statusCode === 404 ? "Document not found" : "Invalid feedback",
+        message: error.message,
+      });
+    }
+
+    console.error("❌ Feedback error:", error);
+    res.status(500).json({
+      error: "Failed to record feedback",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * Get latest/newest documents endpoint
  */
 app.get("/api/latest-data", async (req, res) => {
   try {
-    const { limit = 10, filters = {} } = req.query;
-
-    console.log(`📅 Fetching latest ${limit} documents`);
+    const { limit = 10, cursor } = req.query;
+    let { filters = {} } = req.query;
+    const facetFields = parseFacets(req.query.facets);
+    const Document = require("./models/Document");
+    const pageSize = Math.max(parseInt(limit) || 10, 1);
 
-    // Build the MongoDB filter
-    const mongoFilter = {};
+    console.log(`📅 Fetching latest ${pageSize} documents`);
 
-    // Add optional filters
-    if (filters.StateName) {
-      mongoFilter.StateName = new RegExp(filters.StateName, "i");
+    // A cursor replays the filters of the first page
+    let position = null;
+    if (cursor) {
+      ({ filters, position } = decodeCursor("latest", cursor));
     }
-    if (filters.Category) {
-      mongoFilter.Category = new RegExp(filters.Category, "i");
+
+    // Build the MongoDB filter (filters arrive as a JSON string)
+    let mongoFilter = compileMongoFilter(filters);
+    if (position) {
+      mongoFilter = {
+        $and: [mongoFilter, latestAfterPositionFilter(position)],
+      };
     }
 
     const startTime = Date.now();
@@ -498,10 +1032,34 @@ app.get("/api/latest-data", async (req, res) => {
       Season: 1,
       CreatedOn: 1,
     })
-      .sort({ CreatedOn: -1 }) // Sort by newest first
-      .limit(parseInt(limit))
+      .sort({ CreatedOn: -1, _id: -1 }) // Sort by newest first, _id breaks ties
+      .limit(pageSize + 1) // One extra to know whether another page exists
       .lean();
 
+    const hasMore = latestDocuments.length > pageSize;
+    latestDocuments.splice(pageSize);
+
+    // Facets describe the whole filtered set, so only the first page has them
+    const facets =
+      facetFields && !position
+        ? await aggregateFacets(
+            Document,
+            compileMongoFilter(filters),
+            facetFields
+          )
+        : null;
+
+    const lastDocument = latestDocuments[latestDocuments.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor("latest", {
+          filters: typeof filters === "string" ? JSON.parse(filters) : filters,
+          position: {
+            createdOn: lastDocument.CreatedOn || null,
+            id: String(lastDocument._id),
+          },
+        })
+      : null;
+
     const fetchTime = Date.now() - startTime;
 
     console.log(
@@ -513,6 +1071,9 @@ app.get("/api/latest-data", async (req, res) => {
       message: "Latest data fetched successfully",
       totalFound: latestDocuments.length,
       fetchTime: `${fetchTime}ms`,
+      nextCursor,
+      hasMore,
+      facets,
       results: latestDocuments.map((doc) => ({
         id: doc._id,
         StateName: doc.StateName,
@@ -528,6 +1089,27 @@ app.get("/api/latest-data", async (req, res) => {
       })),
     });
   } catch (error) {
+    if (error instanceof FilterValidationError) {
+      return res.status(400).json({
+        error: "Invalid filters",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof CursorError) {
+      return res.status(400).json({
+        error: "Invalid cursor",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof FacetValidationError) {
+      return res.status(400).json({
+        error: "Invalid facets",
+        message: error.message,
+      });
+    }
+
     console.error("❌ Latest data fetch error:", error);
     res.status(500).json({
       error: "Failed to fetch latest data",
@@ -977,6 +1559,388 @@ app.post("/api/csv-queue/start", async (req, res) => {
 // END BACKGROUND EMBEDDING ENDPOINTS
 // ==========================================
 
+// ==========================================
+// EMBEDDING MODEL ENDPOINTS
+// ==========================================
+
+/**
+ * Stored embeddings per model, and how many are stale for the active model
+ */
+app.get("/api/embeddings/models", async (req, res) => {
+  try {
+    if (!semanticSearchModule) {
+      return res.status(503).json({
+        error: "Semantic search module not available",
+      });
+    }
+
+    const stats = await semanticSearchModule.getEmbeddingModelStats();
+
+    res.json({
+      success: true,
+      provider: semanticSearchModule.describeEmbeddingProvider(),
+      ...stats,
+    });
+  } catch (error) {
+    console.error("❌ Embedding model stats error:", error);
+    res.status(500).json({
+      error: "Failed to get embedding model stats",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Re-embed documents whose embedding came from another model, as a tracked
+ * background job (progress via /api/background-embeddings/status)
+ */
+app.post("/api/embeddings/migrate", async (req, res) => {
+  try {
+    if (!backgroundEmbeddingService) {
+      return res.status(503).json({
+        error: "Background embedding service not available",
+      });
+    }
+
+    if (backgroundEmbeddingService.getStatus().isRunning) {
+      return res.status(409).json({
+        error: "Embedding generation is already running",
+      });
+    }
+
+    const options = { ...(req.body || {}), jobType: "migrate" };
+
+    console.log("🚀 Starting embedding model migration...");
+
+    backgroundEmbeddingService.onComplete(() => {
+      console.log("🎉 Embedding model migration completed!");
+    });
+
+    backgroundEmbeddingService.onError((error) => {
+      console.error("❌ Embedding migration error:", error.message);
+    });
+
+    // Start the migration (non-blocking)
+    backgroundEmbeddingService.start(options).catch((error) => {
+      console.error("❌ Failed to start embedding migration:", error);
+    });
+
+    res.json({
+      success: true,
+      message:
+        "Embedding migration started. Check /api/background-embeddings/status.",
+      status: backgroundEmbeddingService.getStatus(),
+    });
+  } catch (error) {
+    console.error("❌ Embedding migration start error:", error);
+    res.status(500).json({
+      error: "Failed to start embedding migration",
+      message: error.message,
+    });
+  }
+});
+
+// ==========================================
+// EMBEDDING TEMPLATE ENDPOINTS
+// ==========================================
+
+function sendTemplateError(res, error, action) {
+  if (error instanceof embeddingTemplates.EmbeddingTemplateError) {
+    return res.status(error.statusCode).json({
+      error: `Cannot ${action} embedding template`,
+      message: error.message,
+    });
+  }
+
+  console.error(`❌ Embedding template ${action} error:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} embedding template`,
+    message: error.message,
+  });
+}
+
+/**
+ * List embedding templates, the fields they can use and how many
+ * embeddings each one built
+ */
+app.get("/api/embedding-templates", async (req, res) => {
+  try {
+    const listing = await embeddingTemplates.listEmbeddingTemplates();
+    res.json({ success: true, ...listing });
+  } catch (error) {
+    sendTemplateError(res, error, "list");
+  }
+});
+
+/**
+ * Render a document with an unsaved template (documentId, or the newest
+ * document when omitted)
+ */
+app.post("/api/embedding-templates/preview", async (req, res) => {
+  try {
+    const { template, maxLength, documentId } = req.body || {};
+    const Document = require("./models/Document");
+
+    if (documentId && !/^[a-f0-9]{24}$/i.test(documentId)) {
+      return res.status(400).json({
+        error: "Invalid documentId",
+        message: "documentId must be a document id",
+      });
+    }
+
+    const document = documentId
+      ? await Document.findById(documentId).lean()
+      : await Document.findOne().sort({ createdAt: -1 }).lean();
+    if (!document) {
+      return res.status(404).json({
+        error: "Document not found",
+        message: documentId
+          ? `No document with id ${documentId}`
+          : "The collection is empty",
+      });
+    }
+
+    res.json({
+      success: true,
+      documentId: document._id,
+      ...embeddingTemplates.previewEmbeddingTemplate(
+        { template, maxLength },
+        document
+      ),
+    });
+  } catch (error) {
+    sendTemplateError(res, error, "preview");
+  }
+});
+
+/**
+ * Create or update a template ({ template, maxLength, description }).
+ * Changing an existing template bumps its version.
+ */
+app.put("/api/embedding-templates/:name", async (req, res) => {
+  try {
+    const template = await embeddingTemplates.saveEmbeddingTemplate(
+      req.params.name,
+      req.body || {}
+    );
+    res.json({ success: true, template });
+  } catch (error) {
+    sendTemplateError(res, error, "save");
+  }
+});
+
+/**
+ * Use a template for all new embeddings. Existing embeddings keep their
+ * text until a "template" background job re-embeds them.
+ */
+app.post("/api/embedding-templates/:name/activate", async (req, res) => {
+  try {
+    const template = await embeddingTemplates.activateEmbeddingTemplate(
+      req.params.name
+    );
+    const Document = require("./models/Document");
+    const staleDocuments = await Document.countDocuments(
+      embeddingTemplates.staleTemplateFilter()
+    );
+
+    res.json({
+      success: true,
+      template,
+      staleDocuments,
+      message:
+        staleDocuments > 0
+          ? `${staleDocuments} documents use another template. Start a background job with jobType "template" to re-embed them.`
+          : "All embeddings use this template.",
+    });
+  } catch (error) {
+    sendTemplateError(res, error, "activate");
+  }
+});
+
+app.delete("/api/embedding-templates/:name", async (req, res) => {
+  try {
+    await embeddingTemplates.deleteEmbeddingTemplate(req.params.name);
+    res.json({ success: true, message: `Deleted ${req.params.name}` });
+  } catch (error) {
+    sendTemplateError(res, error, "delete");
+  }
+});
+
+// ==========================================
+// ANN INDEX ENDPOINTS
+// ==========================================
+
+/**
+ * Get ANN index status
+ */
+app.get("/api/ann-index/status", (req, res) => {
+  if (!semanticSearchModule) {
+    return res.status(503).json({
+      error: "Semantic search module not available",
+    });
+  }
+
+  res.json({
+    success: true,
+    status: semanticSearchModule.annIndex.getStatus(),
+  });
+});
+
+/**
+ * Save the ANN index to disk so the next start can skip the rebuild
+ */
+app.post("/api/ann-index/save", async (req, res) => {
+  try {
+    if (!semanticSearchModule) {
+      return res.status(503).json({
+        error: "Semantic search module not available",
+      });
+    }
+
+    const status = await semanticSearchModule.annIndex.save();
+
+    res.json({
+      success: true,
+      message: "ANN index saved successfully",
+      status,
+    });
+  } catch (error) {
+    console.error("❌ ANN index save error:", error);
+    res.status(500).json({
+      error: "Failed to save ANN index",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Rebuild the ANN index from the collection
+ */
+app.post("/api/ann-index/rebuild", (req, res) => {
+  try {
+    if (!semanticSearchModule) {
+      return res.status(503).json({
+        error: "Semantic search module not available",
+      });
+    }
+
+    // Rebuild asynchronously, progress is visible via the status endpoint
+    semanticSearchModule.annIndex.build().catch((error) => {
+      console.error("❌ ANN index rebuild failed:", error.message);
+    });
+
+    res.json({
+      success: true,
+      message: "ANN index rebuild started. Check /api/ann-index/status.",
+    });
+  } catch (error) {
+    console.error("❌ ANN index rebuild error:", error);
+    res.status(400).json({
+      error: "Failed to rebuild ANN index",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * List the search strategies and the one "auto" resolves to
+ */
+app.get("/api/search/strategies", (req, res) => {
+  if (!searchStrategies) {
+    return res.status(503).json({
+      error: "Semantic search module not available",
+    });
+  }
+
+  res.json({
+    success: true,
+    ...searchStrategies.getStrategyStatus(),
+  });
+});
+
+/**
+ * Detect the "auto" strategy again, e.g. after creating the Atlas index
+ */
+app.post("/api/search/strategies/detect", async (req, res) => {
+  try {
+    if (!searchStrategies) {
+      return res.status(503).json({
+        error: "Semantic search module not available",
+      });
+    }
+
+    const auto = await searchStrategies.detectSearchStrategy();
+
+    res.json({
+      success: true,
+      auto,
+    });
+  } catch (error) {
+    console.error("❌ Search strategy detection error:", error);
+    res.status(500).json({
+      error: "Failed to detect search strategy",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Run a search analytics report over ?from=&to= (default: the last 7 days)
+ */
+async function sendAnalyticsReport(req, res, name, report) {
+  try {
+    const options = searchAnalytics.parseReportOptions(req.query);
+    const data = await report(options);
+    res.json({
+      success: true,
+      from: options.from,
+      to: options.to,
+      [name]: data,
+    });
+  } catch (error) {
+    if (error instanceof searchAnalytics.AnalyticsValidationError) {
+      return res.status(400).json({
+        error: "Invalid analytics range",
+        message: error.message,
+      });
+    }
+
+    console.error(`❌ Search analytics (${name}) error:`, error);
+    res.status(500).json({
+      error: "Failed to load search analytics",
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Most frequent queries (first pages only)
+ */
+app.get("/api/analytics/top-queries", (req, res) =>
+  sendAnalyticsReport(req, res, "queries", searchAnalytics.topQueries)
+);
+
+/**
+ * Queries that returned no results: gaps in the knowledge base
+ */
+app.get("/api/analytics/zero-results", (req, res) =>
+  sendAnalyticsReport(req, res, "queries", searchAnalytics.zeroResultQueries)
+);
+
+/**
+ * Latency percentiles for the whole search and its stages
+ */
+app.get("/api/analytics/latency", (req, res) =>
+  sendAnalyticsReport(req, res, "latency", searchAnalytics.latencyPercentiles)
+);
+
+/**
+ * Search volume per state
+ */
+app.get("/api/analytics/states", (req, res) =>
+  sendAnalyticsReport(req, res, "states", searchAnalytics.stateVolumes)
+);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error("❌ Unhandled error:", error);
@@ -996,6 +1960,11 @@ app.use((req, res) => {
       "POST /api/upload-csv",
       "POST /api/search",
       "POST /api/search-fallback",
+      "GET /api/search/strategies",
+      "POST /api/search/strategies/detect",
+      "GET /api/documents/:id/similar",
+      "POST /api/intent",
+      "POST /api/feedback",
       "GET /api/latest-data",
       "POST /api/generate-embeddings",
       "POST /api/background-embeddings/start",
@@ -1010,6 +1979,20 @@ app.use((req, res) => {
       "POST /api/csv-queue/clear",
       "POST /api/csv-queue/stop",
       "POST /api/csv-queue/start",
+      "GET /api/embeddings/models",
+      "POST /api/embeddings/migrate",
+      "GET /api/embedding-templates",
+      "PUT /api/embedding-templates/:name",
+      "POST /api/embedding-templates/:name/activate",
+      "DELETE /api/embedding-templates/:name",
+      "POST /api/embedding-templates/preview",
+      "GET /api/ann-index/status",
+      "POST /api/ann-index/save",
+      "POST /api/ann-index/rebuild",
+      "GET /api/analytics/top-queries",
+      "GET /api/analytics/zero-results",
+      "GET /api/analytics/latency",
+      "GET /api/analytics/states",
     ],
   });
 });
@@ -1069,6 +2052,18 @@ app.listen(PORT, async () => {
 // Graceful shutdown
 process.on("SIGINT", () => {
   console.log("\n🛑 Server shutting down...");
+
+  // Persist ANN index changes so the next start loads instead of rebuilding
+  const annIndex = semanticSearchModule && semanticSearchModule.annIndex;
+  if (annIndex && annIndex.isReady() && annIndex.isDirty) {
+    try {
+      annIndex.saveSync();
+      console.log("💾 ANN index saved");
+    } catch (error) {
+      console.error("❌ Failed to save ANN index:", error.message);
+    }
+  }
+
   process.exit(0);
 });
 
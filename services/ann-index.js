@@ -0,0 +1,632 @@
+const fs = require("fs");
+const path = require("path");
+const Document = require("../models/Document");
+const { getEmbeddingProvider } = require("./embedding-providers");
+
+const INDEX_FILE_VERSION = 1;
+// Longest stretch of k-means work between yields to the event loop
+const TRAINING_SLICE_MS = 20;
+const DEFAULT_INDEX_PATH =
+  process.env.ANN_INDEX_PATH ||
+  path.join(__dirname, "..", "data", "ann-index.bin");
+
+/**
+ * Normalize a vector to unit length so dot product equals cosine similarity
+ */
+function normalizeVector(vector) {
+  const normalized = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < normalized.length; i++) {
+    norm += normalized[i] * normalized[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= norm;
+    }
+  }
+  return normalized;
+}
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Index of the centroid closest to a unit vector
+ */
+function nearest(vector, centroids) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let c = 0; c < centroids.length; c++) {
+    const score = dotProduct(vector, centroids[c]);
+    if (score > bestScore) {
+      bestScore = score;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * In-process IVF (inverted file) approximate nearest neighbour index.
+ *
+ * Vectors are clustered around k-means centroids; a query only scores the
+ * vectors in its nProbe closest clusters. Until the index has been trained
+ * (too few vectors, or still building) every vector is scored exactly.
+ */
+class AnnIndex {
+  constructor(options = {}) {
+    this.field = options.field || "embedding";
+    // Document field naming the model that produced each vector
+    this.modelField = options.modelField || `${this.field}Model`;
+    this.indexPath = options.indexPath || DEFAULT_INDEX_PATH;
+    this.enabled = process.env.ANN_INDEX_ENABLED !== "false";
+    this.nProbe = parseInt(process.env.ANN_NPROBE) || 8;
+    this.minTrainSize = parseInt(process.env.ANN_MIN_TRAIN_SIZE) || 1000;
+    this.kmeansIterations = 10;
+    this.maxTrainingSample = 20000;
+    this.reset();
+  }
+
+  /**
+   * Drop all vectors and clusters
+   */
+  reset() {
+    this.model = null;
+    this.dimensions = null;
+    this.ids = []; // slot -> document id
+    this.vectors = []; // slot -> normalized Float32Array
+    this.assignments = []; // slot -> centroid index (-1 when untrained)
+    this.slotById = new Map();
+    this.centroids = [];
+    this.lists = [];
+    this.liveCount = 0;
+    this.status = "empty"; // empty | building | loading | ready | error
+    this.builtAt = null;
+    this.lastSavedAt = null;
+    this.lastError = null;
+    this.isDirty = false;
+    this.trainingScheduled = false;
+    // Running train() call; a reset abandons it
+    this.training = null;
+    // Slots added or replaced while training runs
+    this.changedWhileTraining = new Set();
+    this.generation = (this.generation || 0) + 1;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  isReady() {
+    return this.enabled && this.status === "ready";
+  }
+
+  isTrained() {
+    return this.centroids.length > 0;
+  }
+
+  get size() {
+    return this.liveCount;
+  }
+
+  /**
+   * Add or replace the vector stored for a document
+   */
+  add(id, vector) {
+    if (!vector || vector.length === 0) return;
+
+    const key = String(id);
+    const normalized = normalizeVector(vector);
+
+    if (this.dimensions === null) {
+      this.dimensions = normalized.length;
+    } else if (normalized.length !== this.dimensions) {
+      throw new Error(
+        `ANN index expects ${this.dimensions} dimensions, got ${normalized.length}`
+      );
+    }
+
+    let slot = this.slotById.get(key);
+    if (slot !== undefined) {
+      this.detachFromList(slot);
+      this.vectors[slot] = normalized;
+    } else {
+      slot = this.ids.length;
+      this.ids.push(key);
+      this.vectors.push(normalized);
+      this.assignments.push(-1);
+      this.slotById.set(key, slot);
+      this.liveCount++;
+    }
+    if (this.training) this.changedWhileTraining.add(slot);
+
+    if (this.isTrained()) {
+      this.attachToList(slot, this.nearestCentroid(normalized));
+    }
+
+    this.isDirty = true;
+
+    // Train once enough vectors have arrived incrementally
+    if (
+      !this.isTrained() &&
+      this.status === "ready" &&
+      this.liveCount >= this.minTrainSize &&
+      !this.trainingScheduled
+    ) {
+      this.trainingScheduled = true;
+      setImmediate(() => {
+        this.trainingScheduled = false;
+        this.train().catch((error) => {
+          console.error("❌ ANN index training failed:", error.message);
+        });
+      });
+    }
+  }
+
+  detachFromList(slot) {
+    const listIndex = this.assignments[slot];
+    if (listIndex >= 0) {
+      const list = this.lists[listIndex];
+      const position = list.indexOf(slot);
+      if (position !== -1) {
+        list[position] = list[list.length - 1];
+        list.pop();
+      }
+    }
+    this.assignments[slot] = -1;
+  }
+
+  attachToList(slot, listIndex) {
+    this.lists[listIndex].push(slot);
+    this.assignments[slot] = listIndex;
+  }
+
+  nearestCentroid(vector) {
+    return nearest(vector, this.centroids);
+  }
+
+  /**
+   * Cluster the stored vectors with spherical k-means and rebuild the lists.
+   * Training yields to the event loop every few milliseconds; until it
+   * finishes, searches keep scoring every vector exactly.
+   * @returns {Promise<boolean>} Whether the index was trained
+   */
+  train() {
+    if (!this.training) {
+      const run = this.trainClusters(this.generation).finally(() => {
+        if (this.training === run) this.training = null;
+      });
+      this.training = run;
+    }
+    return this.training;
+  }
+
+  async trainClusters(generation) {
+    const slotCount = this.ids.length;
+    if (slotCount < this.minTrainSize) {
+      console.log(
+        `🧭 ANN index has ${slotCount} vectors, using exact scan until ${this.minTrainSize}`
+      );
+      return false;
+    }
+
+    const startTime = Date.now();
+    let sliceStart = startTime;
+    // Yield when the current slice is used up; false once a reset abandoned
+    // this run
+    const keepGoing = async () => {
+      if (Date.now() - sliceStart >= TRAINING_SLICE_MS) {
+        await yieldToEventLoop();
+        sliceStart = Date.now();
+      }
+      return this.generation === generation;
+    };
+
+    const listCount = Math.max(
+      16,
+      Math.min(1024, Math.round(Math.sqrt(slotCount)))
+    );
+
+    // Train on a uniform random sample (reservoir sampling) to bound the
+    // cost of k-means
+    const sampleSize = Math.min(
+      slotCount,
+      Math.max(listCount * 64, 1000),
+      this.maxTrainingSample
+    );
+    const sample = [];
+    for (let slot = 0; slot < slotCount; slot++) {
+      if (!(await keepGoing())) return false;
+      if (slot < sampleSize) {
+        sample.push(this.vectors[slot]);
+      } else {
+        const position = Math.floor(Math.random() * (slot + 1));
+        if (position < sampleSize) sample[position] = this.vectors[slot];
+      }
+    }
+
+    // Seed the centroids with listCount random sample vectors (partial
+    // Fisher-Yates shuffle)
+    for (let i = 0; i < listCount; i++) {
+      const j = i + Math.floor(Math.random() * (sample.length - i));
+      [sample[i], sample[j]] = [sample[j], sample[i]];
+    }
+    let centroids = sample
+      .slice(0, listCount)
+      .map((vector) => Float32Array.from(vector));
+
+    for (let iteration = 0; iteration < this.kmeansIterations; iteration++) {
+      const sums = centroids.map(() => new Float32Array(this.dimensions));
+      const counts = new Array(centroids.length).fill(0);
+
+      for (const vector of sample) {
+        if (!(await keepGoing())) return false;
+        const best = nearest(vector, centroids);
+        counts[best]++;
+        const sum = sums[best];
+        for (let i = 0; i < vector.length; i++) {
+          sum[i] += vector[i];
+        }
+      }
+
+      centroids = sums.map((sum, c) =>
+        counts[c] > 0
+          ? normalizeVector(sum)
+          : // Re-seed empty clusters from a random sample vector
+            Float32Array.from(sample[Math.floor(Math.random() * sample.length)])
+      );
+    }
+
+    // Assign every vector present at the start to new lists
+    const lists = centroids.map(() => []);
+    const assignments = [];
+    for (let slot = 0; slot < slotCount; slot++) {
+      if (!(await keepGoing())) return false;
+      const listIndex = nearest(this.vectors[slot], centroids);
+      lists[listIndex].push(slot);
+      assignments.push(listIndex);
+    }
+
+    // Swap in the lists at once, then place the vectors added or replaced
+    // while training against the new centroids
+    this.centroids = centroids;
+    this.lists = lists;
+    this.assignments = assignments;
+    for (let slot = slotCount; slot < this.ids.length; slot++) {
+      this.assignments.push(-1);
+    }
+    for (const slot of this.changedWhileTraining) {
+      this.detachFromList(slot);
+      this.attachToList(slot, this.nearestCentroid(this.vectors[slot]));
+    }
+    this.changedWhileTraining.clear();
+    this.isDirty = true;
+
+    console.log(
+      `🧭 ANN index trained: ${slotCount} vectors in ${listCount} lists (${
+        Date.now() - startTime
+      }ms)`
+    );
+    return true;
+  }
+
+  /**
+   * Find the k most similar documents to a query vector
+   * @param {Array<number>} queryVector - Query embedding
+   * @param {number} k - Number of neighbours to return
+   * @param {Object} options - { nProbe } lists to scan (trained index only)
+   * @returns {Array} [{ id, score }] sorted by cosine similarity
+   */
+  search(queryVector, k = 10, options = {}) {
+    if (this.liveCount === 0) return [];
+
+    const query = normalizeVector(queryVector);
+    if (query.length !== this.dimensions) {
+      throw new Error(
+        `ANN index expects ${this.dimensions} dimensions, got ${query.length}`
+      );
+    }
+
+    let candidateSlots;
+    if (this.isTrained()) {
+      const nProbe = Math.min(
+        options.nProbe || this.nProbe,
+        this.centroids.length
+      );
+      candidateSlots = this.centroids
+        .map((centroid, index) => ({ index, score: dotProduct(query, centroid) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, nProbe)
+        .flatMap(({ index }) => this.lists[index]);
+    } else {
+      candidateSlots = Array.from(this.ids.keys());
+    }
+
+    return candidateSlots
+      .map((slot) => ({
+        id: this.ids[slot],
+        score: dotProduct(query, this.vectors[slot]),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  /**
+   * Build the index from every document that has an embedding
+   */
+  async build() {
+    if (this.status === "building" || this.status === "loading") {
+      throw new Error("ANN index is already being built");
+    }
+
+    const startTime = Date.now();
+    this.reset();
+    this.status = "building";
+    this.model = getEmbeddingProvider().name;
+    console.log(
+      `🧭 Building ANN index from '${this.field}' vectors (${this.model})...`
+    );
+
+    try {
+      await this.addDocuments({});
+      await this.train();
+      this.status = "ready";
+      this.builtAt = new Date();
+      console.log(
+        `✅ ANN index built with ${this.liveCount} vectors in ${
+          Date.now() - startTime
+        }ms`
+      );
+      await this.save();
+    } catch (error) {
+      this.status = "error";
+      this.lastError = error.message;
+      throw error;
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * Stream documents matching a filter into the index (vectors from other
+   * models are skipped)
+   */
+  async addDocuments(filter) {
+    const cursor = Document.find(
+      {
+        ...filter,
+        [this.field]: { $exists: true, $ne: [] },
+        [this.modelField]: this.model,
+      },
+      { _id: 1, [this.field]: 1 }
+    )
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    let added = 0;
+    for await (const doc of cursor) {
+      this.add(doc._id, doc[this.field]);
+      added++;
+    }
+    return added;
+  }
+
+  /**
+   * Load the index from disk when a saved copy exists, otherwise build it
+   */
+  async loadOrBuild() {
+    if (!this.enabled) {
+      console.log("🧭 ANN index disabled (ANN_INDEX_ENABLED=false)");
+      return this.getStatus();
+    }
+
+    if (fs.existsSync(this.indexPath)) {
+      try {
+        await this.load();
+
+        // Pick up vectors written while the server was down
+        if (this.lastSavedAt) {
+          const added = await this.addDocuments({
+            updatedAt: { $gt: this.lastSavedAt },
+          });
+          if (added > 0) {
+            console.log(`🧭 ANN index caught up with ${added} new vectors`);
+          }
+        }
+        return this.getStatus();
+      } catch (error) {
+        console.error("❌ Failed to load ANN index, rebuilding:", error.message);
+        this.reset();
+      }
+    }
+
+    return await this.build();
+  }
+
+  /**
+   * Serialize to a single buffer:
+   * [uint32 header length][JSON header][centroids float32][vectors float32]
+   */
+  serialize() {
+    const header = Buffer.from(
+      JSON.stringify({
+        version: INDEX_FILE_VERSION,
+        field: this.field,
+        model: this.model,
+        dimensions: this.dimensions,
+        ids: this.ids,
+        assignments: this.assignments,
+        centroidCount: this.centroids.length,
+        builtAt: this.builtAt,
+        savedAt: new Date(),
+      })
+    );
+
+    const dimensions = this.dimensions || 0;
+    const floats = new Float32Array(
+      (this.centroids.length + this.vectors.length) * dimensions
+    );
+    let offset = 0;
+    for (const centroid of this.centroids) {
+      floats.set(centroid, offset);
+      offset += dimensions;
+    }
+    for (const vector of this.vectors) {
+      floats.set(vector, offset);
+      offset += dimensions;
+    }
+
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(header.length, 0);
+    return Buffer.concat([
+      length,
+      header,
+      Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength),
+    ]);
+  }
+
+  /**
+   * Save the index to disk
+   */
+  async save(indexPath = this.indexPath) {
+    const buffer = this.serialize();
+    await fs.promises.mkdir(path.dirname(indexPath), { recursive: true });
+    await fs.promises.writeFile(indexPath, buffer);
+    this.lastSavedAt = new Date();
+    this.isDirty = false;
+    console.log(
+      `💾 ANN index saved to ${indexPath} (${this.liveCount} vectors)`
+    );
+    return this.getStatus();
+  }
+
+  /**
+   * Synchronous save, used during shutdown
+   */
+  saveSync(indexPath = this.indexPath) {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    fs.writeFileSync(indexPath, this.serialize());
+    this.lastSavedAt = new Date();
+    this.isDirty = false;
+  }
+
+  /**
+   * Load a previously saved index from disk
+   */
+  async load(indexPath = this.indexPath) {
+    this.status = "loading";
+    const startTime = Date.now();
+    const buffer = await fs.promises.readFile(indexPath);
+
+    const headerLength = buffer.readUInt32LE(0);
+    const header = JSON.parse(buffer.toString("utf8", 4, 4 + headerLength));
+    if (header.version !== INDEX_FILE_VERSION) {
+      throw new Error(`Unsupported ANN index file version ${header.version}`);
+    }
+    if (header.field !== this.field) {
+      throw new Error(
+        `ANN index file is for '${header.field}', expected '${this.field}'`
+      );
+    }
+    const activeModel = getEmbeddingProvider().name;
+    if (header.model !== activeModel) {
+      throw new Error(
+        `ANN index file was built with ${
+          header.model || "an untracked model"
+        }, active model is ${activeModel}`
+      );
+    }
+
+    // Copy into an aligned buffer before viewing it as float32
+    const floatBytes = buffer.subarray(4 + headerLength);
+    const floats = new Float32Array(
+      floatBytes.buffer.slice(
+        floatBytes.byteOffset,
+        floatBytes.byteOffset + floatBytes.byteLength
+      )
+    );
+
+    this.reset();
+    this.status = "loading";
+    this.model = header.model;
+    this.dimensions = header.dimensions;
+    const dimensions = header.dimensions || 0;
+
+    let offset = 0;
+    for (let c = 0; c < header.centroidCount; c++) {
+      this.centroids.push(floats.slice(offset, offset + dimensions));
+      offset += dimensions;
+    }
+    this.lists = this.centroids.map(() => []);
+
+    header.ids.forEach((id, slot) => {
+      this.ids.push(id);
+      this.vectors.push(floats.slice(offset, offset + dimensions));
+      this.assignments.push(-1);
+      this.slotById.set(id, slot);
+      if (header.assignments[slot] >= 0) {
+        this.attachToList(slot, header.assignments[slot]);
+      }
+      offset += dimensions;
+    });
+    this.liveCount = header.ids.length;
+
+    this.builtAt = header.builtAt ? new Date(header.builtAt) : null;
+    this.lastSavedAt = header.savedAt ? new Date(header.savedAt) : null;
+    this.status = "ready";
+    console.log(
+      `✅ ANN index loaded from ${indexPath} (${this.liveCount} vectors, ${
+        Date.now() - startTime
+      }ms)`
+    );
+    return this.getStatus();
+  }
+
+  /**
+   * Remove every vector, e.g. after the collection has been cleared
+   */
+  clear() {
+    const wasReady = this.status === "ready";
+    this.reset();
+    if (wasReady) {
+      this.status = "ready";
+      this.model = getEmbeddingProvider().name;
+      this.builtAt = new Date();
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      status: this.status,
+      field: this.field,
+      model: this.model,
+      vectors: this.liveCount,
+      dimensions: this.dimensions,
+      trained: this.isTrained(),
+      training: Boolean(this.training),
+      lists: this.centroids.length,
+      nProbe: this.nProbe,
+      builtAt: this.builtAt,
+      lastSavedAt: this.lastSavedAt,
+      unsavedChanges: this.isDirty,
+      indexPath: this.indexPath,
+      lastError: this.lastError,
+    };
+  }
+}
+
+// Create singleton instance
+const annIndex = new AnnIndex();
+
+module.exports = annIndex;
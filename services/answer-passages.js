@@ -0,0 +1,347 @@
+/**
+ * Passage-level embeddings for long answers.
+ *
+ * MiniLM reads about 256 tokens, so the tail of a long multi-step KccAns
+ * advisory never reaches the document embedding. Answers longer than
+ * PASSAGE_MIN_LENGTH characters are split into overlapping passages of about
+ * PASSAGE_SIZE characters (ending at sentence breaks where possible), each
+ * embedded with its parent's question and stored in the passages collection.
+ *
+ * Passages carry copies of their parent's filterable fields, so filtered
+ * searches narrow passages before taking the best ones.
+ *
+ * Vector search scores passages next to documents and rolls them up: a
+ * document scores its best passage when that beats its own embedding, and
+ * carries that passage with the query terms marked as a snippet.
+ */
+
+const Document = require("../models/Document");
+const Passage = require("../models/Passage");
+const { getEmbeddingProvider } = require("./embedding-providers");
+const { VECTOR_FILTER_FIELDS, filterKeysFor } = require("./search-filters");
+
+const PASSAGE_SEARCH_ENABLED = process.env.PASSAGE_SEARCH_ENABLED !== "false";
+const PASSAGE_SIZE = Math.max(parseInt(process.env.PASSAGE_SIZE) || 500, 100);
+const PASSAGE_OVERLAP = Math.min(
+  Math.max(parseInt(process.env.PASSAGE_OVERLAP) || 100, 0),
+  Math.floor(PASSAGE_SIZE / 2)
+);
+const PASSAGE_MIN_LENGTH = Math.max(
+  parseInt(process.env.PASSAGE_MIN_LENGTH) || 800,
+  PASSAGE_SIZE
+);
+
+// Passage ends are moved back to a break no earlier than this share of a passage
+const MIN_BREAK_RATIO = 0.6;
+const SENTENCE_END = /[.!?।\n]/;
+const MIN_HIGHLIGHT_TERM_LENGTH = 3;
+
+/**
+ * End of a passage starting at `start`: the last sentence end (or else the
+ * last space) before `end`
+ */
+function breakPoint(text, start, end) {
+  const earliest = start + Math.floor((end - start) * MIN_BREAK_RATIO);
+  let space = -1;
+  for (let i = end - 1; i >= earliest; i--) {
+    if (SENTENCE_END.test(text[i]) && /\s/.test(text[i + 1] || " ")) {
+      return i + 1;
+    }
+    if (space === -1 && /\s/.test(text[i])) space = i;
+  }
+  return space === -1 ? end : space;
+}
+
+/**
+ * Start of the next word at or after `position`
+ */
+function wordStart(text, position) {
+  let i = position;
+  while (i > 0 && i < text.length && !/\s/.test(text[i - 1])) i++;
+  while (i < text.length && /\s/.test(text[i])) i++;
+  return i;
+}
+
+/**
+ * Split a long answer into overlapping passages
+ * @param {string} answer - KccAns text
+ * @returns {Array} [{ index, text, start, end }]; empty for short answers
+ */
+function chunkAnswer(answer) {
+  const text = String(answer || "");
+  if (text.length <= PASSAGE_MIN_LENGTH) return [];
+
+  const passages = [];
+  let start = 0;
+  while (start < text.length) {
+    const end =
+      start + PASSAGE_SIZE >= text.length
+        ? text.length
+        : breakPoint(text, start, start + PASSAGE_SIZE);
+
+    const raw = text.slice(start, end);
+    const passageText = raw.trim();
+    if (passageText) {
+      const offset = start + (raw.length - raw.trimStart().length);
+      passages.push({
+        index: passages.length,
+        text: passageText,
+        start: offset,
+        end: offset + passageText.length,
+      });
+    }
+    if (end >= text.length) break;
+
+    // Step back by the overlap, but always move forward
+    const next = wordStart(text, end - PASSAGE_OVERLAP);
+    start = next > start && next < end ? next : end;
+  }
+
+  return passages;
+}
+
+/**
+ * Text embedded for a passage: the parent's question gives it context
+ */
+function createPassageText(document, passage) {
+  return `Query: ${document.QueryText || ""}. Answer: ${passage.text}`;
+}
+
+/**
+ * Passage texts to embed for a document (empty for short answers)
+ */
+function createPassageTexts(document) {
+  return chunkAnswer(document.KccAns).map((passage) =>
+    createPassageText(document, passage)
+  );
+}
+
+/**
+ * MongoDB condition for documents whose answer is long enough to chunk
+ */
+function longAnswerFilter() {
+  return {
+    $expr: {
+      $gt: [{ $strLenCP: { $ifNull: ["$KccAns", ""] } }, PASSAGE_MIN_LENGTH],
+    },
+  };
+}
+
+/**
+ * MongoDB condition for long answers without passages from the active model
+ */
+function missingPassagesFilter() {
+  return {
+    ...longAnswerFilter(),
+    passageModel: { $ne: getEmbeddingProvider().name },
+  };
+}
+
+// Parent fields copied onto each passage, with their lower-cased
+// filterKeys (the vector index filter paths)
+const PASSAGE_FILTER_FIELDS = VECTOR_FILTER_FIELDS;
+
+function parentFilterFields(document) {
+  const fields = { filterKeys: filterKeysFor(document) };
+  for (const field of PASSAGE_FILTER_FIELDS) {
+    if (document[field] !== undefined) fields[field] = document[field];
+  }
+  return fields;
+}
+
+/**
+ * Replace a document's passages with freshly embedded ones
+ * @param {Object} document - Parent document (needs _id and KccAns)
+ * @param {Array} vectors - One embedding per passage, parallel to
+ *   createPassageTexts(document)
+ * @returns {Promise<Object>} Document update recording the passages
+ */
+async function savePassages(document, vectors, provider) {
+  const passages = chunkAnswer(document.KccAns);
+  if (passages.length !== vectors.length) {
+    throw new Error(
+      `Expected ${passages.length} passage embeddings, got ${vectors.length}`
+    );
+  }
+
+  const embeddedAt = new Date();
+  await Passage.deleteMany({ documentId: document._id });
+  if (passages.length > 0) {
+    await Passage.insertMany(
+      passages.map((passage, index) => ({
+        ...passage,
+        ...parentFilterFields(document),
+        parentFieldsAt: embeddedAt,
+        documentId: document._id,
+        embedding: vectors[index],
+        embeddingModel: provider.name,
+        embeddedAt,
+      }))
+    );
+  }
+
+  return { passageModel: provider.name, passageCount: passages.length };
+}
+
+/**
+ * Copy parent filter fields onto passages written before passages carried
+ * them
+ * @returns {Promise<number>} Passages updated
+ */
+async function copyParentFilterFields() {
+  const pending = await Passage.countDocuments({ parentFieldsAt: null });
+  if (pending === 0) return 0;
+
+  const copied = Object.fromEntries(
+    [...PASSAGE_FILTER_FIELDS, "filterKeys"].map((field) => [
+      field,
+      `$parent.${field}`,
+    ])
+  );
+  await Passage.aggregate([
+    { $match: { parentFieldsAt: null } },
+    {
+      $lookup: {
+        from: Document.collection.name,
+        let: { documentId: "$documentId" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$_id", "$$documentId"] } } },
+          {
+            $project: Object.fromEntries(
+              [...PASSAGE_FILTER_FIELDS, "filterKeys"].map((field) => [
+                field,
+                1,
+              ])
+            ),
+          },
+        ],
+        as: "parent",
+      },
+    },
+    { $unwind: "$parent" },
+    { $project: { ...copied, parentFieldsAt: "$$NOW" } },
+    {
+      $merge: {
+        into: Passage.collection.name,
+        on: "_id",
+        whenMatched: "merge",
+        whenNotMatched: "discard",
+      },
+    },
+  ]);
+
+  // Passages whose parent is gone have nothing to copy
+  const updated =
+    pending - (await Passage.countDocuments({ parentFieldsAt: null }));
+  if (updated > 0) {
+    console.log(`🏷️ Copied document filter fields onto ${updated} passages`);
+  }
+  return updated;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Mark where the query's words occur in a passage
+ * @returns {Object} { text, highlights: [{ start, end }] }
+ */
+function highlightSnippet(text, query) {
+  const terms = [
+    ...new Set(
+      String(query || "")
+        .toLowerCase()
+        .match(/[\p{L}\p{M}\p{N}]+/gu) || []
+    ),
+  ].filter((term) => term.length >= MIN_HIGHLIGHT_TERM_LENGTH);
+  if (terms.length === 0) return { text, highlights: [] };
+
+  // Longest terms first so "fertilizers" wins over "fertilizer"
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{M}\\p{N}])(?:${terms
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join("|")})`,
+    "giu"
+  );
+  const highlights = [];
+  for (const match of text.matchAll(pattern)) {
+    highlights.push({
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return { text, highlights };
+}
+
+/**
+ * Roll passage hits up into document results. A document's similarity is
+ * the better of its own and its best passage's; documents found only
+ * through a passage are added.
+ * @param {Array} documents - Document-level results with similarity
+ * @param {Array} passageResults - Parent documents with their best `passage`
+ * @param {string} query - Query text, for highlighting
+ * @returns {Array} Up to topK results by similarity
+ */
+function mergePassageResults(documents, passageResults, query, topK) {
+  const merged = new Map(documents.map((doc) => [String(doc._id), doc]));
+
+  for (const hit of passageResults) {
+    const id = String(hit._id);
+    const passage = {
+      ...hit.passage,
+      snippet: highlightSnippet(hit.passage.text, query),
+    };
+    const existing = merged.get(id);
+
+    if (!existing) {
+      merged.set(id, { ...hit, passage, documentSimilarity: null });
+    } else if (hit.similarity > existing.similarity) {
+      merged.set(id, {
+        ...existing,
+        passage,
+        documentSimilarity: existing.similarity,
+        similarity: hit.similarity,
+      });
+    } else {
+      merged.set(id, { ...existing, passage });
+    }
+  }
+
+  return [...merged.values()]
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, topK);
+}
+
+/**
+ * Passage counts for status endpoints
+ */
+async function getPassageStats() {
+  const activeModel = getEmbeddingProvider().name;
+  const [longAnswers, documentsWithPassages, passages, pendingDocuments] =
+    await Promise.all([
+      Document.countDocuments(longAnswerFilter()),
+      Document.countDocuments({ passageModel: activeModel }),
+      Passage.countDocuments({ embeddingModel: activeModel }),
+      Document.countDocuments(missingPassagesFilter()),
+    ]);
+  return { longAnswers, documentsWithPassages, passages, pendingDocuments };
+}
+
+module.exports = {
+  chunkAnswer,
+  createPassageTexts,
+  longAnswerFilter,
+  missingPassagesFilter,
+  savePassages,
+  copyParentFilterFields,
+  highlightSnippet,
+  mergePassageResults,
+  getPassageStats,
+  PASSAGE_SEARCH_ENABLED,
+  PASSAGE_SIZE,
+  PASSAGE_OVERLAP,
+  PASSAGE_MIN_LENGTH,
+  PASSAGE_FILTER_FIELDS,
+};
@@ -1,12 +1,50 @@
 require("dotenv").config();
 const mongoose = require("mongoose");
 const Document = require("../models/Document");
+const Passage = require("../models/Passage");
 const {
-  generateEmbedding,
-  createEmbeddingText,
   initializeEmbeddingPipeline,
   connectToMongoDB,
+  staleEmbeddingFilter,
+  stampLegacyEmbeddings,
+  getEmbeddingModelStats,
 } = require("./semantic-search");
+const {
+  getEmbeddingProvider,
+  embeddingMetadata,
+} = require("./embedding-providers");
+const {
+  createQuestionText,
+  createAnswerText,
+  missingQuestionAnswerFilter,
+} = require("./match-targets");
+const {
+  renderEmbeddingText,
+  getActiveTemplate,
+  staleTemplateFilter,
+  loadEmbeddingTemplates,
+  TEMPLATE_FIELDS,
+} = require("./embedding-templates");
+const {
+  createPassageTexts,
+  missingPassagesFilter,
+  savePassages,
+} = require("./answer-passages");
+const annIndex = require("./ann-index");
+const resultCache = require("./result-cache");
+const bulkEmbedder = require("./bulk-embedder");
+
+// generate: documents without embeddings; migrate: embeddings from another
+// model; question-answer: backfill questionEmbedding and answerEmbedding;
+// template: embeddings built with another template than the active one;
+// passages: long answers without passage embeddings from the active model
+const JOB_TYPES = [
+  "generate",
+  "migrate",
+  "question-answer",
+  "template",
+  "passages",
+];
 
 class BackgroundEmbeddingService {
   constructor() {
@@ -29,6 +67,7 @@ class BackgroundEmbeddingService {
     this.estimatedTimeRemaining = null;
     this.averageProcessingTime = 0;
     this.processingTimes = [];
+    this.recentDocsPerSecond = 0;
     this.currentOperation = null;
     this.errorCount = 0;
     this.successCount = 0;
@@ -40,6 +79,10 @@ class BackgroundEmbeddingService {
     this.concurrentWorkers = 1; // Number of concurrent processing workers
     this.activeWorkers = 0;
     this.skipExisting = true; // Skip documents that already have embeddings
+    this.jobType = "generate"; // One of JOB_TYPES
+    this.targetModel = null;
+    this.targetTemplate = null;
+    this.sourceModels = [];
 
     // CSV Processing Queue
     this.csvQueue = [];
@@ -114,6 +157,9 @@ class BackgroundEmbeddingService {
           : 0,
       estimatedTimeRemaining: this.estimatedTimeRemaining,
       averageProcessingTime: this.averageProcessingTime,
+      docsPerSecond: 0,
+      recentDocsPerSecond: Number(this.recentDocsPerSecond.toFixed(2)),
+      bulkEmbedder: bulkEmbedder.getStatus(),
       startTime: this.startTime,
       pauseTime: this.pauseTime,
       totalPauseDuration: this.totalPauseDuration,
@@ -126,6 +172,10 @@ class BackgroundEmbeddingService {
       concurrentWorkers: this.concurrentWorkers,
       activeWorkers: this.activeWorkers,
       skipExisting: this.skipExisting,
+      jobType: this.jobType,
+      targetModel: this.targetModel,
+      targetTemplate: this.targetTemplate && this.targetTemplate.key,
+      sourceModels: this.sourceModels,
       configuration: {
         batchSize: this.batchSize,
         delayBetweenBatches: this.delayBetweenBatches,
@@ -143,6 +193,13 @@ class BackgroundEmbeddingService {
         currentTime - this.startTime - this.totalPauseDuration;
       status.elapsedTimeFormatted = this.formatDuration(status.elapsedTime);
 
+      // Throughput over the whole run, excluding pauses
+      if (status.elapsedTime > 0) {
+        status.docsPerSecond = Number(
+          (this.successCount / (status.elapsedTime / 1000)).toFixed(2)
+        );
+      }
+
       if (this.estimatedTimeRemaining) {
         status.estimatedTimeRemainingFormatted = this.formatDuration(
           this.estimatedTimeRemaining
@@ -299,10 +356,27 @@ class BackgroundEmbeddingService {
   }
 
   /**
-   * Validate that we're only processing documents without embeddings
+   * Documents the current job should embed: those without an embedding, or
+   * for a migration, those embedded by a model other than the active one,
+   * or for question-answer, those without current question/answer vectors,
+   * or for template, those whose text came from another template, or for
+   * passages, long answers not yet chunked with the active model
    */
-  async validateSafetyFilter() {
-    const filter = this.skipExisting
+  getTargetFilter() {
+    if (this.jobType === "migrate") {
+      return staleEmbeddingFilter();
+    }
+    if (this.jobType === "template") {
+      return staleTemplateFilter();
+    }
+    if (this.jobType === "question-answer") {
+      return missingQuestionAnswerFilter();
+    }
+    if (this.jobType === "passages") {
+      return missingPassagesFilter();
+    }
+
+    return this.skipExisting
       ? {
           $or: [
             { embedding: { $exists: false } },
@@ -311,6 +385,14 @@ class BackgroundEmbeddingService {
           ],
         }
       : {};
+  }
+
+  /**
+   * Validate that we're only processing documents without embeddings
+   * (or with stale-model embeddings when migrating)
+   */
+  async validateSafetyFilter() {
+    const filter = this.getTargetFilter();
 
     // Count documents that would be processed
     const documentsToProcess = await Document.countDocuments(filter);
@@ -323,14 +405,23 @@ class BackgroundEmbeddingService {
     // Count total documents
     const totalDocuments = await Document.countDocuments({});
 
+    // Migrations rewrite existing embeddings, so those are not protected
+    const staleDocuments =
+      this.jobType === "migrate" || this.jobType === "template"
+        ? documentsToProcess
+        : 0;
+
     this.addLog("info", "🔒 Data Safety Validation:", {
       totalDocuments,
       documentsWithEmbeddings,
       documentsToProcess,
-      documentsProtected: documentsWithEmbeddings,
+      documentsProtected: documentsWithEmbeddings - staleDocuments,
       protectionPercentage:
         totalDocuments > 0
-          ? ((documentsWithEmbeddings / totalDocuments) * 100).toFixed(2) + "%"
+          ? (
+              ((documentsWithEmbeddings - staleDocuments) / totalDocuments) *
+              100
+            ).toFixed(2) + "%"
           : "0%",
     });
 
@@ -350,15 +441,31 @@ class BackgroundEmbeddingService {
       throw new Error("Embedding generation is already running");
     }
 
+    const { jobType = "generate", ...configuration } = options;
+    if (!JOB_TYPES.includes(jobType)) {
+      throw new Error(
+        `Unknown job type "${jobType}". Use one of: ${JOB_TYPES.join(", ")}`
+      );
+    }
+
     try {
+      this.jobType = jobType;
       this.addLog(
         "info",
-        "🚀 Starting background embedding generation process..."
+        jobType === "migrate"
+          ? "🚀 Starting embedding model migration..."
+          : jobType === "question-answer"
+          ? "🚀 Starting question and answer embedding backfill..."
+          : jobType === "template"
+          ? "🚀 Starting re-embedding with the active template..."
+          : jobType === "passages"
+          ? "🚀 Starting passage embedding for long answers..."
+          : "🚀 Starting background embedding generation process..."
       );
 
       // Apply any configuration options
-      if (Object.keys(options).length > 0) {
-        this.configure(options);
+      if (Object.keys(configuration).length > 0) {
+        this.configure(configuration);
       }
 
       // Reset counters
@@ -374,6 +481,7 @@ class BackgroundEmbeddingService {
       this.pauseTime = null;
       this.totalPauseDuration = 0;
       this.processingTimes = [];
+      this.recentDocsPerSecond = 0;
       this.lastProcessedId = null;
       this.currentOperation = "initializing";
 
@@ -381,9 +489,33 @@ class BackgroundEmbeddingService {
       this.addLog("info", "Connecting to MongoDB...");
       await connectToMongoDB();
 
-      // Initialize embedding pipeline
-      this.addLog("info", "Initializing embedding model...");
-      await initializeEmbeddingPipeline();
+      // Initialize the configured embedding provider
+      const provider = await initializeEmbeddingPipeline();
+      this.addLog(
+        "info",
+        `Embedding provider ready: ${provider.name} (${provider.dimensions} dimensions)`
+      );
+      this.targetModel = provider.name;
+
+      // Every document in this job is embedded with the same template
+      this.targetTemplate = await loadEmbeddingTemplates();
+
+      // Attribute pre-tracking embeddings before looking for stale ones
+      await stampLegacyEmbeddings();
+
+      if (jobType === "migrate") {
+        const stats = await getEmbeddingModelStats();
+        this.sourceModels = stats.models
+          .filter((model) => !model.active)
+          .map(({ model, documents }) => ({ model, documents }));
+        this.addLog(
+          "info",
+          `Migrating embeddings to ${provider.name}`,
+          this.sourceModels
+        );
+      } else {
+        this.sourceModels = [];
+      }
 
       // Validate data safety before processing
       this.addLog("info", "Validating data safety...");
@@ -391,25 +523,36 @@ class BackgroundEmbeddingService {
 
       // Count total documents needing embeddings
       this.currentOperation = "counting_documents";
-      const filter = this.skipExisting
-        ? {
-            $or: [
-              { embedding: { $exists: false } },
-              { embedding: { $size: 0 } },
-              { embedding: null },
-            ],
-          }
-        : {};
-
-      this.totalDocuments = await Document.countDocuments(filter);
+      this.totalDocuments = await Document.countDocuments(
+        this.getTargetFilter()
+      );
 
       this.addLog(
         "info",
-        `Found ${this.totalDocuments} documents that need embeddings`
+        jobType === "migrate"
+          ? `Found ${this.totalDocuments} documents embedded with another model`
+          : jobType === "question-answer"
+          ? `Found ${this.totalDocuments} documents that need question and answer embeddings`
+          : jobType === "template"
+          ? `Found ${this.totalDocuments} documents embedded with another template than ${this.targetTemplate.key}`
+          : jobType === "passages"
+          ? `Found ${this.totalDocuments} long answers that need passage embeddings`
+          : `Found ${this.totalDocuments} documents that need embeddings`
       );
 
       if (this.totalDocuments === 0) {
-        this.addLog("success", "All documents already have embeddings!");
+        this.addLog(
+          "success",
+          jobType === "migrate"
+            ? `All embeddings already use ${provider.name}!`
+            : jobType === "question-answer"
+            ? "All documents already have question and answer embeddings!"
+            : jobType === "template"
+            ? `All embeddings already use template ${this.targetTemplate.key}!`
+            : jobType === "passages"
+            ? "All long answers already have passage embeddings!"
+            : "All documents already have embeddings!"
+        );
         this.isRunning = false;
         if (this.onCompleteCallback) {
           this.onCompleteCallback(this.getStatus());
@@ -524,17 +667,11 @@ class BackgroundEmbeddingService {
    */
   async processEmbeddings() {
     try {
-      const filter = this.skipExisting
-        ? {
-            $or: [
-              { embedding: { $exists: false } },
-              { embedding: { $size: 0 } },
-              { embedding: null },
-            ],
-          }
-        : {};
+      const filter = this.getTargetFilter();
 
-      let skip = 0;
+      // Page by _id: embedded documents drop out of the filter, so a skip
+      // offset would jump over documents that still need work
+      let lastSeenId = null;
 
       while (
         this.processedDocuments < this.totalDocuments &&
@@ -557,12 +694,22 @@ class BackgroundEmbeddingService {
 
         try {
           // Get batch of documents
-          const documents = await Document.find(filter)
+          const documents = await Document.find(
+            lastSeenId ? { ...filter, _id: { $gt: lastSeenId } } : filter
+          )
             .select(
-              "_id StateName DistrictName Category QueryType QueryText KccAns embedding"
+              [
+                "_id",
+                ...TEMPLATE_FIELDS,
+                "embedding",
+                "embeddingModel",
+                "embeddingTemplate",
+                "questionAnswerModel",
+                "passageModel",
+              ].join(" ")
             )
+            .sort({ _id: 1 })
             .limit(this.batchSize)
-            .skip(skip)
             .lean();
 
           if (documents.length === 0) {
@@ -573,7 +720,7 @@ class BackgroundEmbeddingService {
           // Process documents in the batch
           await this.processBatch(documents);
 
-          skip += this.batchSize;
+          lastSeenId = documents[documents.length - 1]._id;
 
           // Update time estimates
           const batchTime = Date.now() - batchStartTime;
@@ -649,97 +796,198 @@ class BackgroundEmbeddingService {
         this.onErrorCallback(error, this.getStatus());
       }
       throw error;
+    } finally {
+      resultCache.flushInvalidation();
+    }
+  }
+
+  /**
+   * Template for this job's combined text (the active one outside a job)
+   */
+  getTemplate() {
+    return this.targetTemplate || getActiveTemplate();
+  }
+
+  /**
+   * Texts embedded for a document: the combined text, or for the
+   * question-answer job its question and its answer, or for the passages
+   * job one text per answer passage
+   */
+  getEmbeddingTexts(doc) {
+    if (this.jobType === "question-answer") {
+      return [createQuestionText(doc), createAnswerText(doc)];
+    }
+    if (this.jobType === "passages") {
+      return createPassageTexts(doc);
+    }
+    return [renderEmbeddingText(doc, this.getTemplate())];
+  }
+
+  /**
+   * Document update storing a document's vectors (parallel to
+   * getEmbeddingTexts) and the model that made them
+   */
+  getEmbeddingUpdate(vectors, provider) {
+    if (this.jobType === "question-answer") {
+      const [questionEmbedding, answerEmbedding] = vectors;
+      return {
+        questionEmbedding,
+        answerEmbedding,
+        questionAnswerModel: provider.name,
+      };
     }
+
+    const [embedding] = vectors;
+    return {
+      embedding,
+      ...embeddingMetadata(embedding, provider),
+      embeddingTemplate: this.getTemplate().key,
+    };
   }
 
   /**
-   * Process a batch of documents
+   * Process a batch of documents: embed all pending texts in one bulk call
+   * (on the worker pool), then store each document's vectors
    */
   async processBatch(documents) {
     this.activeWorkers++;
+    const provider = getEmbeddingProvider();
 
     try {
+      const pending = [];
       for (const doc of documents) {
-        if (this.isStopping) break;
+        if (
+          (this.jobType === "question-answer" &&
+            doc.questionAnswerModel === provider.name) ||
+          (this.jobType === "passages" && doc.passageModel === provider.name)
+        ) {
+          this.processedDocuments++;
+          continue;
+        }
 
-        let attempts = 0;
-        let success = false;
+        // Skip if document already has embeddings (double check for safety);
+        // a migration only skips vectors already from the active model, a
+        // template job those from the active model and template
+        const hasEmbedding =
+          doc.embedding &&
+          Array.isArray(doc.embedding) &&
+          doc.embedding.length > 0;
+        if (
+          this.jobType !== "question-answer" &&
+          this.jobType !== "passages" &&
+          hasEmbedding &&
+          (this.jobType === "migrate"
+            ? doc.embeddingModel === provider.name
+            : this.jobType === "template"
+            ? doc.embeddingModel === provider.name &&
+              doc.embeddingTemplate === this.targetTemplate.key
+            : this.skipExisting)
+        ) {
+          this.addLog(
+            "debug",
+            `Skipping document ${doc._id} - already has ${doc.embedding.length} embedding dimensions`
+          );
+          this.processedDocuments++;
+          continue;
+        }
+        pending.push(doc);
+      }
 
-        while (attempts <= this.retryAttempts && !success && !this.isStopping) {
-          try {
-            const docStartTime = Date.now();
-
-            // Skip if document already has embeddings (double check for safety)
-            if (
-              this.skipExisting &&
-              doc.embedding &&
-              Array.isArray(doc.embedding) &&
-              doc.embedding.length > 0
-            ) {
-              this.addLog(
-                "debug",
-                `Skipping document ${doc._id} - already has ${doc.embedding.length} embedding dimensions`
-              );
-              this.processedDocuments++;
-              success = true;
-              continue;
-            }
+      if (pending.length === 0 || this.isStopping) return;
 
-            this.currentOperation = `processing_document_${doc._id}`;
+      this.currentOperation = `embedding_batch_${this.currentBatch}`;
+      const batchStartTime = Date.now();
 
-            // Create embedding text
-            const embeddingText = createEmbeddingText(doc);
+      // One bulk call for the whole batch; documents are retried one at a
+      // time below if it fails
+      const texts = pending.map((doc) => this.getEmbeddingTexts(doc));
+      let vectorsByDocument = [];
+      try {
+        const embeddings = await bulkEmbedder.embedTexts(texts.flat());
+        let next = 0;
+        vectorsByDocument = texts.map((docTexts) =>
+          embeddings.slice(next, (next += docTexts.length))
+        );
+      } catch (error) {
+        this.addLog(
+          "warning",
+          `Bulk embedding failed for batch ${this.currentBatch}, retrying documents individually`,
+          error.message
+        );
+      }
 
-            // Generate embedding
-            this.addLog(
-              "debug",
-              `Generating embedding for document ${doc._id}`
-            );
-            const embedding = await generateEmbedding(embeddingText);
+      for (let i = 0; i < pending.length; i++) {
+        if (this.isStopping) break;
+        await this.saveEmbedding(pending[i], vectorsByDocument[i], provider);
+      }
 
-            // Update document with embedding
-            await Document.findByIdAndUpdate(doc._id, { embedding: embedding });
+      const batchSeconds = (Date.now() - batchStartTime) / 1000;
+      if (batchSeconds > 0) {
+        this.recentDocsPerSecond = pending.length / batchSeconds;
+      }
+    } finally {
+      this.activeWorkers--;
+    }
+  }
 
-            this.processedDocuments++;
-            this.successCount++;
-            this.lastProcessedId = doc._id;
-            success = true;
+  /**
+   * Store one document's vectors, embedding it on its own (with retries)
+   * when the bulk call did not produce them
+   */
+  async saveEmbedding(doc, vectors, provider) {
+    let attempts = 0;
 
-            const docTime = Date.now() - docStartTime;
-            this.addLog(
-              "debug",
-              `✅ Document ${doc._id} processed successfully in ${docTime}ms`
-            );
-          } catch (error) {
-            attempts++;
-            this.addLog(
-              "warning",
-              `Attempt ${attempts}/${
-                this.retryAttempts + 1
-              } failed for document ${doc._id}`,
-              error.message
-            );
+    while (attempts <= this.retryAttempts && !this.isStopping) {
+      try {
+        if (!vectors) {
+          this.addLog("debug", `Generating embedding for document ${doc._id}`);
+          vectors = await bulkEmbedder.embedTexts(this.getEmbeddingTexts(doc));
+        }
 
-            if (attempts > this.retryAttempts) {
-              this.failedDocuments++;
-              this.errorCount++;
-              this.processedDocuments++;
-              this.addLog(
-                "error",
-                `❌ Failed to process document ${doc._id} after ${attempts} attempts`,
-                error.message
-              );
-            } else {
-              // Wait before retry
-              await new Promise((resolve) =>
-                setTimeout(resolve, 1000 * attempts)
-              );
-            }
-          }
+        // Update document with its vectors and the model that made them;
+        // passages go to their own collection
+        const update =
+          this.jobType === "passages"
+            ? await savePassages(doc, vectors, provider)
+            : this.getEmbeddingUpdate(vectors, provider);
+        await Document.findByIdAndUpdate(doc._id, update);
+
+        // Keep the in-memory ANN index in step with the collection
+        if (update.embedding && annIndex.isEnabled()) {
+          annIndex.add(doc._id, update.embedding);
+        }
+        resultCache.invalidateThrottled("embeddings updated");
+
+        this.processedDocuments++;
+        this.successCount++;
+        this.lastProcessedId = doc._id;
+        this.addLog("debug", `✅ Document ${doc._id} processed successfully`);
+        return;
+      } catch (error) {
+        attempts++;
+        vectors = null;
+        this.addLog(
+          "warning",
+          `Attempt ${attempts}/${this.retryAttempts + 1} failed for document ${
+            doc._id
+          }`,
+          error.message
+        );
+
+        if (attempts > this.retryAttempts) {
+          this.failedDocuments++;
+          this.errorCount++;
+          this.processedDocuments++;
+          this.addLog(
+            "error",
+            `❌ Failed to process document ${doc._id} after ${attempts} attempts`,
+            error.message
+          );
+        } else {
+          // Wait before retry
+          await new Promise((resolve) => setTimeout(resolve, 1000 * attempts));
         }
       }
-    } finally {
-      this.activeWorkers--;
     }
   }
 
@@ -800,10 +1048,15 @@ class BackgroundEmbeddingService {
     this.estimatedTimeRemaining = null;
     this.averageProcessingTime = 0;
     this.processingTimes = [];
+    this.recentDocsPerSecond = 0;
     this.currentOperation = null;
     this.errorCount = 0;
     this.successCount = 0;
     this.activeWorkers = 0;
+    this.jobType = "generate";
+    this.targetModel = null;
+    this.targetTemplate = null;
+    this.sourceModels = [];
 
     this.addLog("info", "Service reset to initial state");
   }
@@ -938,6 +1191,9 @@ class BackgroundEmbeddingService {
         taskId: task.id,
       });
       await Document.deleteMany({});
+      await Passage.deleteMany({});
+      annIndex.clear();
+      resultCache.invalidate("documents cleared");
     }
 
     const records = [];
@@ -1080,6 +1336,7 @@ class BackgroundEmbeddingService {
     try {
       const Document = require("../models/Document");
       const result = await Document.insertMany(records, { ordered: false });
+      resultCache.invalidate("CSV import");
       return result.length;
     } catch (error) {
       this.addLog(
@@ -0,0 +1,170 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const {
+  getEmbeddingProvider,
+  isBuiltInEmbeddingProvider,
+} = require("./embedding-providers");
+
+/**
+ * Bulk embedding for document ingestion.
+ *
+ * Texts are embedded in batches (one pipeline call per batch) on a pool of
+ * worker threads, so inference does not block the event loop serving
+ * searches. This path never reads or writes the query embedding cache.
+ * Workers only know the built-in provider types, so providers added with
+ * registerEmbeddingProvider() or installed with setEmbeddingProvider(), and
+ * EMBEDDING_WORKERS=0, run the batches in-process instead.
+ */
+class BulkEmbedder {
+  constructor(options = {}) {
+    this.workerCount =
+      options.workerCount !== undefined
+        ? options.workerCount
+        : parseInt(process.env.EMBEDDING_WORKERS ?? "1");
+    this.batchSize =
+      options.batchSize || parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
+    this.workers = [];
+    this.workerProvider = null;
+    this.nextRequestId = 0;
+  }
+
+  /**
+   * Whether batches for this provider can run on worker threads
+   */
+  canUseWorkers(provider) {
+    return this.workerCount > 0 && isBuiltInEmbeddingProvider(provider);
+  }
+
+  /**
+   * Embed document texts, preserving order
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<number[][]>} One embedding per text
+   */
+  async embedTexts(texts) {
+    if (texts.length === 0) return [];
+
+    const provider = getEmbeddingProvider();
+    const chunks = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      chunks.push(texts.slice(i, i + this.batchSize));
+    }
+
+    const results = await Promise.all(
+      chunks.map((chunk) =>
+        this.canUseWorkers(provider)
+          ? this.runOnWorker(provider, chunk)
+          : this.runInProcess(provider, chunk)
+      )
+    );
+    return results.flat();
+  }
+
+  async runInProcess(provider, texts) {
+    if (typeof provider.embedBatch === "function") {
+      return provider.embedBatch(texts);
+    }
+    const embeddings = [];
+    for (const text of texts) {
+      embeddings.push(await provider.embed(text));
+    }
+    return embeddings;
+  }
+
+  runOnWorker(provider, texts) {
+    // A different active provider needs freshly configured workers
+    if (this.workerProvider !== provider) {
+      this.terminate();
+      this.workerProvider = provider;
+    }
+
+    const worker = this.pickWorker();
+    const id = ++this.nextRequestId;
+
+    return new Promise((resolve, reject) => {
+      worker.pending.set(id, { resolve, reject });
+      worker.thread.ref(); // Keep the process alive while work is queued
+      worker.thread.postMessage({ id, texts });
+    });
+  }
+
+  /**
+   * Least busy worker, starting a new one while the pool is below size
+   */
+  pickWorker() {
+    const idle = this.workers.find((worker) => worker.pending.size === 0);
+    if (idle) return idle;
+    if (this.workers.length < this.workerCount) return this.spawnWorker();
+    return this.workers.reduce((least, worker) =>
+      worker.pending.size < least.pending.size ? worker : least
+    );
+  }
+
+  spawnWorker() {
+    const thread = new Worker(path.join(__dirname, "embedding-worker.js"), {
+      workerData: { config: this.workerProvider.config },
+    });
+    const worker = { thread, pending: new Map() };
+
+    const failAll = (error) => {
+      for (const { reject } of worker.pending.values()) reject(error);
+      worker.pending.clear();
+      this.workers = this.workers.filter((other) => other !== worker);
+    };
+
+    thread.on("message", ({ id, embeddings, error }) => {
+      const request = worker.pending.get(id);
+      if (!request) return;
+      worker.pending.delete(id);
+      if (worker.pending.size === 0) thread.unref();
+
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(embeddings);
+      }
+    });
+    thread.on("error", failAll);
+    thread.on("exit", (code) => {
+      if (worker.pending.size > 0) {
+        failAll(new Error(`Embedding worker exited with code ${code}`));
+      } else {
+        this.workers = this.workers.filter((other) => other !== worker);
+      }
+    });
+
+    thread.unref();
+    this.workers.push(worker);
+    console.log(
+      `🧵 Started embedding worker ${this.workers.length}/${this.workerCount} (${this.workerProvider.name})`
+    );
+    return worker;
+  }
+
+  /**
+   * Stop all worker threads (pending batches are rejected)
+   */
+  terminate() {
+    const workers = this.workers;
+    this.workers = [];
+    for (const worker of workers) {
+      worker.thread.terminate();
+    }
+  }
+
+  getStatus() {
+    return {
+      workerCount: this.workerCount,
+      activeWorkers: this.workers.length,
+      batchSize: this.batchSize,
+      pendingBatches: this.workers.reduce(
+        (sum, worker) => sum + worker.pending.size,
+        0
+      ),
+    };
+  }
+}
+
+// Create singleton instance
+const bulkEmbedder = new BulkEmbedder();
+
+module.exports = bulkEmbedder;
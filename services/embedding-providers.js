@@ -0,0 +1,383 @@
+/**
+ * Embedding provider registry.
+ *
+ * A provider is an object with `type`, `name`, `model`, `dimensions`,
+ * `normalize`, an async `initialize()`, an async `embed(text) -> number[]`
+ * and an async `embedBatch(texts) -> number[][]` for bulk document work.
+ * The active provider is chosen by EMBEDDING_PROVIDER:
+ *   transformers  local @xenova/transformers model (EMBEDDING_MODEL)
+ *   http          local embedding server (EMBEDDING_HTTP_URL)
+ *   hash          deterministic feature hashing, for offline tests
+ * registerEmbeddingProvider() adds more types, and tests can install any
+ * provider with setEmbeddingProvider().
+ */
+
+const DEFAULT_TRANSFORMERS_MODEL = "Xenova/all-MiniLM-L6-v2";
+const DEFAULT_HASH_DIMENSIONS = 384;
+
+// Provider that wrote every embedding stored before model tracking existed
+const LEGACY_EMBEDDING_MODEL = `transformers:${DEFAULT_TRANSFORMERS_MODEL}`;
+
+// Output sizes of models we have tried, so the dimensions are known up front
+const KNOWN_MODEL_DIMENSIONS = {
+  "Xenova/all-MiniLM-L6-v2": 384,
+  "Xenova/paraphrase-multilingual-MiniLM-L12-v2": 384,
+  "Xenova/paraphrase-multilingual-mpnet-base-v2": 768,
+  "Xenova/LaBSE": 768,
+};
+
+const providerFactories = new Map();
+// Factories every thread registers on load; worker threads can only rebuild
+// providers made by these
+const builtInFactories = new Map();
+let activeProvider = null;
+
+/**
+ * Scale a vector to unit length (zero vectors are returned unchanged)
+ */
+function l2Normalize(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm);
+  return norm > 0 ? vector.map((value) => value / norm) : vector;
+}
+
+/**
+ * Check an embedding against the provider's declared size
+ */
+function checkDimensions(provider, embedding) {
+  if (provider.dimensions && embedding.length !== provider.dimensions) {
+    throw new Error(
+      `${provider.name} returned ${embedding.length} dimensions, expected ${provider.dimensions}`
+    );
+  }
+  return embedding;
+}
+
+/**
+ * Local transformer model through @xenova/transformers
+ */
+function createTransformersProvider(config = {}) {
+  const model = config.model || DEFAULT_TRANSFORMERS_MODEL;
+  const pooling = config.pooling || "mean";
+  let extractorPromise = null;
+
+  const provider = {
+    type: "transformers",
+    name: `transformers:${model}`,
+    model,
+    dimensions: config.dimensions || KNOWN_MODEL_DIMENSIONS[model] || null,
+    normalize: config.normalize !== false,
+
+    async initialize() {
+      if (!extractorPromise) {
+        extractorPromise = (async () => {
+          const { pipeline } = require("@xenova/transformers");
+
+          console.log(`🤖 Loading ${model} model...`);
+          const extractor = await pipeline("feature-extraction", model);
+          console.log("✅ Model loaded successfully!");
+          return extractor;
+        })().catch((error) => {
+          extractorPromise = null; // Allow a retry on the next call
+          throw error;
+        });
+      }
+      const extractor = await extractorPromise;
+
+      // Models outside the table report their size on first use
+      if (!provider.dimensions) {
+        const probe = await extractor("dimension probe", {
+          pooling,
+          normalize: provider.normalize,
+        });
+        provider.dimensions = probe.data.length;
+      }
+      return extractor;
+    },
+
+    async embed(text) {
+      const extractor = await provider.initialize();
+      const result = await extractor(text, {
+        pooling,
+        normalize: provider.normalize,
+      });
+      return checkDimensions(provider, Array.from(result.data));
+    },
+
+    async embedBatch(texts) {
+      if (texts.length === 0) return [];
+      const extractor = await provider.initialize();
+      const result = await extractor(texts, {
+        pooling,
+        normalize: provider.normalize,
+      });
+      return result.tolist().map((vector) => checkDimensions(provider, vector));
+    },
+  };
+
+  return provider;
+}
+
+/**
+ * Local HTTP embedding server. Sends { model, input: [text] } and accepts
+ * either an OpenAI-style { data: [{ embedding }] } or { embeddings: [[...]] }.
+ */
+function createHttpProvider(config = {}) {
+  if (!config.url) {
+    throw new Error("The http embedding provider needs EMBEDDING_HTTP_URL");
+  }
+  if (!config.dimensions) {
+    throw new Error(
+      "The http embedding provider needs EMBEDDING_DIMENSIONS to be set"
+    );
+  }
+
+  const axios = require("axios");
+  const model = config.model || null;
+
+  const provider = {
+    type: "http",
+    name: `http:${model || config.url}`,
+    model,
+    dimensions: config.dimensions,
+    normalize: config.normalize !== false,
+
+    async initialize() {
+      return provider;
+    },
+
+    async embed(text) {
+      const [embedding] = await provider.embedBatch([text]);
+      return embedding;
+    },
+
+    async embedBatch(texts) {
+      if (texts.length === 0) return [];
+      const response = await axios.post(
+        config.url,
+        { model, input: texts },
+        { timeout: config.timeoutMs || 30000 }
+      );
+
+      const body = response.data || {};
+      const embeddings = Array.isArray(body.data)
+        ? body.data.map((item) => item && item.embedding)
+        : Array.isArray(body.embeddings)
+        ? body.embeddings
+        : [];
+
+      if (
+        embeddings.length !== texts.length ||
+        !embeddings.every((embedding) => Array.isArray(embedding))
+      ) {
+        throw new Error(
+          `${provider.name} returned ${embeddings.length} embeddings for ${texts.length} texts`
+        );
+      }
+
+      return embeddings.map((embedding) => {
+        const vector = embedding.map(Number);
+        return checkDimensions(
+          provider,
+          provider.normalize ? l2Normalize(vector) : vector
+        );
+      });
+    },
+  };
+
+  return provider;
+}
+
+/**
+ * Deterministic provider for offline tests: every word and character
+ * trigram is hashed (FNV-1a) into a signed bucket. Texts sharing words get
+ * similar vectors, so search behaves plausibly without a model download.
+ */
+function createHashProvider(config = {}) {
+  const dimensions = config.dimensions || DEFAULT_HASH_DIMENSIONS;
+
+  const hash = (token) => {
+    let value = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+      value ^= token.charCodeAt(i);
+      value = Math.imul(value, 0x01000193) >>> 0;
+    }
+    return value;
+  };
+
+  const provider = {
+    type: "hash",
+    name: `hash:${dimensions}`,
+    model: null,
+    dimensions,
+    normalize: config.normalize !== false,
+
+    async initialize() {
+      return provider;
+    },
+
+    async embed(text) {
+      const vector = new Array(dimensions).fill(0);
+      const words = String(text || "")
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+
+      for (const word of words) {
+        const tokens = [word];
+        const padded = ` ${word} `;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          tokens.push(`#${padded.slice(i, i + 3)}`);
+        }
+        for (const token of tokens) {
+          const value = hash(token);
+          vector[value % dimensions] += value & 0x80000000 ? -1 : 1;
+        }
+      }
+
+      return provider.normalize ? l2Normalize(vector) : vector;
+    },
+
+    async embedBatch(texts) {
+      return Promise.all(texts.map((text) => provider.embed(text)));
+    },
+  };
+
+  return provider;
+}
+
+/**
+ * Register a provider factory under a type name
+ * @param {string} type - Value used in EMBEDDING_PROVIDER
+ * @param {Function} factory - (config) => provider
+ */
+function registerEmbeddingProvider(type, factory) {
+  if (typeof factory !== "function") {
+    throw new Error(`Embedding provider ${type} needs a factory function`);
+  }
+  providerFactories.set(type, factory);
+}
+
+/**
+ * Whether a provider can be rebuilt from its config in another thread:
+ * only built-in types are registered there, and only under their own
+ * factory
+ */
+function isBuiltInEmbeddingProvider(provider) {
+  if (!provider || !provider.config) return false;
+  const type = provider.config.provider;
+  return (
+    builtInFactories.has(type) &&
+    builtInFactories.get(type) === providerFactories.get(type)
+  );
+}
+
+function listEmbeddingProviders() {
+  return Array.from(providerFactories.keys());
+}
+
+/**
+ * Provider configuration from the environment
+ */
+function configFromEnv(env = process.env) {
+  return {
+    provider: env.EMBEDDING_PROVIDER || "transformers",
+    model: env.EMBEDDING_MODEL || null,
+    dimensions: parseInt(env.EMBEDDING_DIMENSIONS) || null,
+    normalize: env.EMBEDDING_NORMALIZE !== "false",
+    pooling: env.EMBEDDING_POOLING || null,
+    url: env.EMBEDDING_HTTP_URL || null,
+    timeoutMs: parseInt(env.EMBEDDING_HTTP_TIMEOUT_MS) || null,
+  };
+}
+
+/**
+ * Build a provider from a config object ({ provider, model, dimensions, ... })
+ */
+function createEmbeddingProvider(config = configFromEnv()) {
+  const type = config.provider || "transformers";
+  const factory = providerFactories.get(type);
+  if (!factory) {
+    throw new Error(
+      `Unknown embedding provider "${type}". Available: ${listEmbeddingProviders().join(
+        ", "
+      )}`
+    );
+  }
+
+  // Keep the config so a worker thread can build the same provider
+  const provider = factory(config);
+  provider.config = { ...config, provider: type };
+  return provider;
+}
+
+/**
+ * Install the provider used by generateEmbedding (pass null to restore the
+ * configured default)
+ */
+function setEmbeddingProvider(provider) {
+  if (
+    provider &&
+    (typeof provider.embed !== "function" ||
+      typeof provider.initialize !== "function")
+  ) {
+    throw new Error(
+      "An embedding provider must implement initialize() and embed(text)"
+    );
+  }
+  activeProvider = provider;
+}
+
+function getEmbeddingProvider() {
+  if (!activeProvider) {
+    activeProvider = createEmbeddingProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Provider metadata for status endpoints and stored documents
+ */
+function describeEmbeddingProvider(provider = getEmbeddingProvider()) {
+  return {
+    type: provider.type,
+    name: provider.name,
+    model: provider.model,
+    dimensions: provider.dimensions,
+    normalize: provider.normalize,
+  };
+}
+
+/**
+ * Fields stored next to a document's embedding so vectors from different
+ * models are never compared
+ */
+function embeddingMetadata(embedding, provider = getEmbeddingProvider()) {
+  return {
+    embeddingModel: provider.name,
+    embeddingDimensions: embedding.length,
+    embeddedAt: new Date(),
+  };
+}
+
+registerEmbeddingProvider("transformers", createTransformersProvider);
+registerEmbeddingProvider("http", createHttpProvider);
+registerEmbeddingProvider("hash", createHashProvider);
+for (const [type, factory] of providerFactories) {
+  builtInFactories.set(type, factory);
+}
+
+module.exports = {
+  registerEmbeddingProvider,
+  listEmbeddingProviders,
+  isBuiltInEmbeddingProvider,
+  createEmbeddingProvider,
+  setEmbeddingProvider,
+  getEmbeddingProvider,
+  describeEmbeddingProvider,
+  embeddingMetadata,
+  configFromEnv,
+  KNOWN_MODEL_DIMENSIONS,
+  LEGACY_EMBEDDING_MODEL,
+};
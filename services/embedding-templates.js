@@ -0,0 +1,446 @@
+/**
+ * Named, admin-editable templates for the text each document is embedded as.
+ *
+ *   {{Field}}               value of a Document field ("" when empty)
+ *   {{#Field}}...{{/Field}} section kept only when Field is not empty
+ *
+ * Templates live in the embedding_templates collection; exactly one is
+ * active. Every embedding records the template that built its text as
+ * name@version (editing a template bumps its version), so documents
+ * embedded with another template can be found and re-embedded.
+ */
+
+const Document = require("../models/Document");
+const EmbeddingTemplate = require("../models/EmbeddingTemplate");
+
+// Schema paths that are not document content
+const NON_TEMPLATE_FIELDS = new Set([
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "embedding",
+  "embeddingModel",
+  "embeddingDimensions",
+  "embeddedAt",
+  "embeddingTemplate",
+  "questionEmbedding",
+  "answerEmbedding",
+  "questionAnswerModel",
+  "passageModel",
+  "passageCount",
+]);
+
+const TEMPLATE_FIELDS = Object.keys(Document.schema.paths).filter(
+  (field) => !NON_TEMPLATE_FIELDS.has(field)
+);
+
+const MAX_TEMPLATE_LENGTH = 2000;
+const MIN_MAX_LENGTH = 50;
+const MAX_MAX_LENGTH = 20000;
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,49}$/;
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([^{}\s]*)\s*\}\}/g;
+
+const BUILT_IN_TEMPLATES = [
+  {
+    // The original hard-coded format; embeddings written before templates
+    // existed were built with it
+    name: "default",
+    description: "Category, query type, question and answer",
+    template:
+      "Category: {{Category}}. QueryType: {{QueryType}}. Query: {{QueryText}}. Answer: {{KccAns}}",
+    maxLength: null,
+  },
+  {
+    name: "agronomic",
+    description: "Adds crop, season and location ahead of the question",
+    template:
+      "{{#Crop}}Crop: {{Crop}}. {{/Crop}}{{#Season}}Season: {{Season}}. {{/Season}}" +
+      "{{#StateName}}Location: {{#BlockName}}{{BlockName}}, {{/BlockName}}" +
+      "{{#DistrictName}}{{DistrictName}}, {{/DistrictName}}{{StateName}}. {{/StateName}}" +
+      "{{#Category}}Category: {{Category}}. {{/Category}}" +
+      "{{#QueryType}}QueryType: {{QueryType}}. {{/QueryType}}" +
+      "Query: {{QueryText}}. Answer: {{KccAns}}",
+    // MiniLM reads about 256 tokens; longer text is dropped anyway
+    maxLength: 1000,
+  },
+];
+
+const LEGACY_EMBEDDING_TEMPLATE = "default@1";
+
+class EmbeddingTemplateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "EmbeddingTemplateError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Parse template text into text, field and section nodes
+ * @throws {EmbeddingTemplateError} On unknown fields or unbalanced sections
+ */
+function parseTemplate(text) {
+  if (typeof text !== "string" || text.trim().length === 0) {
+    throw new EmbeddingTemplateError("template must be a non-empty string");
+  }
+  if (text.length > MAX_TEMPLATE_LENGTH) {
+    throw new EmbeddingTemplateError(
+      `template must be at most ${MAX_TEMPLATE_LENGTH} characters`
+    );
+  }
+
+  const root = { children: [] };
+  const stack = [root];
+  let fieldCount = 0;
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [tag, kind, field] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push(text.slice(lastIndex, match.index));
+    }
+    lastIndex = match.index + tag.length;
+
+    if (!TEMPLATE_FIELDS.includes(field)) {
+      throw new EmbeddingTemplateError(
+        `Unknown template field "${field}". Allowed: ${TEMPLATE_FIELDS.join(
+          ", "
+        )}`
+      );
+    }
+
+    if (kind === "#") {
+      const section = { section: field, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === "/") {
+      if (current.section !== field) {
+        throw new EmbeddingTemplateError(
+          current.section
+            ? `Expected {{/${current.section}}} but found {{/${field}}}`
+            : `{{/${field}}} closes a section that was never opened`
+        );
+      }
+      stack.pop();
+    } else {
+      current.children.push({ field });
+      fieldCount++;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new EmbeddingTemplateError(
+      `Section {{#${stack[stack.length - 1].section}}} is never closed`
+    );
+  }
+  if (fieldCount === 0) {
+    throw new EmbeddingTemplateError(
+      "template must reference at least one field"
+    );
+  }
+  if (lastIndex < text.length) {
+    root.children.push(text.slice(lastIndex));
+  }
+  return root.children;
+}
+
+function parseMaxLength(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  if (
+    !Number.isInteger(number) ||
+    number < MIN_MAX_LENGTH ||
+    number > MAX_MAX_LENGTH
+  ) {
+    throw new EmbeddingTemplateError(
+      `maxLength must be a whole number from ${MIN_MAX_LENGTH} to ${MAX_MAX_LENGTH}`
+    );
+  }
+  return number;
+}
+
+function parseName(name) {
+  if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+    throw new EmbeddingTemplateError(
+      "Template names use letters, digits, _ and - (at most 50 characters)"
+    );
+  }
+  return name;
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? ""
+      : value.toISOString().slice(0, 10);
+  }
+  return String(value);
+}
+
+function renderNodes(nodes, document) {
+  let text = "";
+  for (const node of nodes) {
+    if (typeof node === "string") {
+      text += node;
+    } else if (node.section) {
+      if (formatValue(document[node.section]).trim()) {
+        text += renderNodes(node.children, document);
+      }
+    } else {
+      text += formatValue(document[node.field]);
+    }
+  }
+  return text;
+}
+
+/**
+ * Template record with its parsed nodes and name@version key
+ */
+function compileTemplate(record) {
+  return {
+    name: record.name,
+    version: record.version || 1,
+    key: `${record.name}@${record.version || 1}`,
+    template: record.template,
+    maxLength: record.maxLength ?? null,
+    description: record.description || "",
+    builtIn: Boolean(record.builtIn),
+    nodes: parseTemplate(record.template),
+  };
+}
+
+let activeTemplate = compileTemplate(BUILT_IN_TEMPLATES[0]);
+
+/**
+ * Render a document with a template (the active one by default),
+ * cut to the template's maxLength
+ */
+function renderEmbeddingText(document, template = activeTemplate) {
+  const text = renderNodes(template.nodes, document);
+  return template.maxLength && text.length > template.maxLength
+    ? text.slice(0, template.maxLength).trimEnd()
+    : text;
+}
+
+function getActiveTemplate() {
+  return activeTemplate;
+}
+
+/**
+ * Template as returned by the API (without parsed nodes)
+ */
+function describeTemplate(template) {
+  const { nodes, ...description } = template;
+  return { ...description, active: template.key === activeTemplate.key };
+}
+
+/**
+ * MongoDB condition for embeddings built with another template (or another
+ * version of the active one)
+ */
+function staleTemplateFilter() {
+  return {
+    "embedding.0": { $exists: true },
+    embeddingTemplate: { $ne: activeTemplate.key },
+  };
+}
+
+/**
+ * Seed the built-in templates and load the active one. When none is active
+ * yet, EMBEDDING_TEMPLATE (default "default") is activated.
+ * @returns {Promise<Object>} The active template
+ */
+async function loadEmbeddingTemplates() {
+  for (const builtIn of BUILT_IN_TEMPLATES) {
+    await EmbeddingTemplate.updateOne(
+      { name: builtIn.name },
+      { $setOnInsert: { ...builtIn, version: 1, builtIn: true } },
+      { upsert: true }
+    );
+  }
+
+  let record = await EmbeddingTemplate.findOne({ active: true }).lean();
+  if (!record) {
+    const name = process.env.EMBEDDING_TEMPLATE || "default";
+    record = await EmbeddingTemplate.findOneAndUpdate(
+      { name },
+      { active: true },
+      { new: true }
+    ).lean();
+    if (!record) {
+      console.warn(
+        `⚠️ EMBEDDING_TEMPLATE "${name}" does not exist, using "default"`
+      );
+      record = await EmbeddingTemplate.findOneAndUpdate(
+        { name: "default" },
+        { active: true },
+        { new: true }
+      ).lean();
+    }
+  }
+
+  activeTemplate = compileTemplate(record);
+  console.log(`🧾 Embedding template: ${activeTemplate.key}`);
+  return activeTemplate;
+}
+
+/**
+ * List templates with how many embeddings each built
+ * @returns {Promise<Object>} { active, fields, templates, usage, staleDocuments }
+ */
+async function listEmbeddingTemplates() {
+  const [records, usage] = await Promise.all([
+    EmbeddingTemplate.find().sort({ name: 1 }).lean(),
+    Document.aggregate([
+      { $match: { "embedding.0": { $exists: true } } },
+      { $group: { _id: "$embeddingTemplate", documents: { $sum: 1 } } },
+      { $sort: { documents: -1 } },
+    ]),
+  ]);
+  const documentsByKey = new Map(
+    usage.map((group) => [group._id, group.documents])
+  );
+
+  return {
+    active: activeTemplate.key,
+    fields: TEMPLATE_FIELDS,
+    templates: records.map((record) => {
+      const template = compileTemplate(record);
+      return {
+        ...describeTemplate(template),
+        documents: documentsByKey.get(template.key) || 0,
+      };
+    }),
+    usage: usage.map((group) => ({
+      template: group._id,
+      documents: group.documents,
+    })),
+    staleDocuments: usage
+      .filter((group) => group._id !== activeTemplate.key)
+      .reduce((sum, group) => sum + group.documents, 0),
+  };
+}
+
+/**
+ * Create a template or update an existing one. Changing the text or
+ * maxLength bumps the version, which makes existing embeddings stale.
+ * @param {string} name - Template name
+ * @param {Object} input - { template, maxLength, description }
+ * @returns {Promise<Object>} The saved template
+ * @throws {EmbeddingTemplateError} On invalid input or a built-in name
+ */
+async function saveEmbeddingTemplate(name, input = {}) {
+  parseName(name);
+  const maxLength = parseMaxLength(input.maxLength);
+  parseTemplate(input.template);
+  if (
+    input.description !== undefined &&
+    typeof input.description !== "string"
+  ) {
+    throw new EmbeddingTemplateError("description must be a string");
+  }
+
+  const existing = await EmbeddingTemplate.findOne({ name }).lean();
+  if (existing && existing.builtIn) {
+    throw new EmbeddingTemplateError(
+      `"${name}" is built in and cannot be edited; save a copy under another name`
+    );
+  }
+
+  const changed =
+    !existing ||
+    existing.template !== input.template ||
+    (existing.maxLength ?? null) !== maxLength;
+  const record = await EmbeddingTemplate.findOneAndUpdate(
+    { name },
+    {
+      template: input.template,
+      maxLength,
+      description: input.description ?? (existing ? existing.description : ""),
+      version: existing ? existing.version + (changed ? 1 : 0) : 1,
+    },
+    { new: true, upsert: true }
+  ).lean();
+
+  const template = compileTemplate(record);
+  if (record.active) {
+    activeTemplate = template;
+    console.log(`🧾 Active embedding template is now ${template.key}`);
+  }
+  return describeTemplate(template);
+}
+
+/**
+ * Make a template the one used for new embeddings
+ * @throws {EmbeddingTemplateError} 404 when the template does not exist
+ */
+async function activateEmbeddingTemplate(name) {
+  const record = await EmbeddingTemplate.findOne({ name }).lean();
+  if (!record) {
+    throw new EmbeddingTemplateError(`Template "${name}" not found`, 404);
+  }
+
+  await EmbeddingTemplate.updateMany(
+    { active: true, name: { $ne: name } },
+    { active: false }
+  );
+  await EmbeddingTemplate.updateOne({ name }, { active: true });
+
+  activeTemplate = compileTemplate(record);
+  console.log(`🧾 Activated embedding template ${activeTemplate.key}`);
+  return describeTemplate(activeTemplate);
+}
+
+/**
+ * Delete a template that is neither built in nor active
+ */
+async function deleteEmbeddingTemplate(name) {
+  const record = await EmbeddingTemplate.findOne({ name }).lean();
+  if (!record) {
+    throw new EmbeddingTemplateError(`Template "${name}" not found`, 404);
+  }
+  if (record.builtIn) {
+    throw new EmbeddingTemplateError(`"${name}" is built in`);
+  }
+  if (record.active) {
+    throw new EmbeddingTemplateError(
+      `"${name}" is active; activate another template first`,
+      409
+    );
+  }
+  await EmbeddingTemplate.deleteOne({ name });
+}
+
+/**
+ * Render a document with an unsaved template, to check it before saving
+ * @param {Object} input - { template, maxLength }
+ * @returns {Object} { text, length, truncated }
+ */
+function previewEmbeddingTemplate(input, document) {
+  const template = compileTemplate({
+    name: "preview",
+    template: input.template,
+    maxLength: parseMaxLength(input.maxLength),
+  });
+  const fullText = renderEmbeddingText(document, { ...template, maxLength: 0 });
+  const text = renderEmbeddingText(document, template);
+  return { text, length: text.length, truncated: text !== fullText };
+}
+
+module.exports = {
+  renderEmbeddingText,
+  getActiveTemplate,
+  staleTemplateFilter,
+  loadEmbeddingTemplates,
+  listEmbeddingTemplates,
+  saveEmbeddingTemplate,
+  activateEmbeddingTemplate,
+  deleteEmbeddingTemplate,
+  previewEmbeddingTemplate,
+  EmbeddingTemplateError,
+  TEMPLATE_FIELDS,
+  LEGACY_EMBEDDING_TEMPLATE,
+};
@@ -0,0 +1,20 @@
+/**
+ * Worker thread for bulk document embedding (see bulk-embedder.js).
+ *
+ * Builds its own copy of the configured embedding provider from workerData
+ * and answers { id, texts } messages with { id, embeddings } or { id, error }.
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const { createEmbeddingProvider } = require("./embedding-providers");
+
+const provider = createEmbeddingProvider(workerData.config);
+
+parentPort.on("message", async ({ id, texts }) => {
+  try {
+    const embeddings = await provider.embedBatch(texts);
+    parentPort.postMessage({ id, embeddings });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,236 @@
+/**
+ * Query intent: predict Crop, Category and QueryType for a free-text query.
+ *
+ * Farmers rarely name the category, but the corpus is well labelled, so a
+ * query's nearest labelled neighbours vote on each label (k-nearest
+ * neighbours, votes weighted by similarity). A label's confidence is its
+ * share of the total vote weight; neighbours without the field count
+ * against every label. Labels at or above the threshold are the inferred
+ * filters, which a search can apply as a soft boost:
+ *
+ *   score *= 1 + weight * confidence   for each inferred label a result has
+ */
+
+const { generateEmbedding, searchByMode } = require("./semantic-search");
+
+const INTENT_FIELDS = ["Crop", "Category", "QueryType"];
+const DEFAULT_NEIGHBOURS = parseInt(process.env.INTENT_NEIGHBOURS) || 25;
+const MAX_NEIGHBOURS = 200;
+const DEFAULT_THRESHOLD = unitFromEnv(process.env.INTENT_THRESHOLD, 0.6);
+const DEFAULT_BOOST_WEIGHT = unitFromEnv(process.env.INTENT_BOOST_WEIGHT, 0.2);
+const ALTERNATIVE_LABELS = 3;
+
+function unitFromEnv(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 && number <= 1
+    ? number
+    : fallback;
+}
+
+class IntentValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "IntentValidationError";
+    this.statusCode = 400;
+  }
+}
+
+function numberOption(value, name, fallback, min, max) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  if (typeof value === "boolean" || !Number.isFinite(number)) {
+    throw new IntentValidationError(`${name} must be a number`);
+  }
+  if (number < min || number > max) {
+    throw new IntentValidationError(
+      `${name} must be between ${min} and ${max}`
+    );
+  }
+  return number;
+}
+
+/**
+ * Resolve intent settings.
+ * `true` predicts labels and reports them; an object such as
+ * { boost: true, threshold: 0.7, weight: 0.3, k: 50 } tunes the vote and
+ * can boost results that carry the inferred labels.
+ * @returns {Object|null} { k, threshold, boost, weight } or null when off
+ * @throws {IntentValidationError} When an option is unknown or out of range
+ */
+function parseIntent(input) {
+  if (input === undefined || input === null || input === false) return null;
+  if (input === true) input = {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new IntentValidationError("intent must be true, false or an object");
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!["k", "threshold", "boost", "weight"].includes(key)) {
+      throw new IntentValidationError(`Unknown intent option: ${key}`);
+    }
+  }
+  if (input.boost !== undefined && typeof input.boost !== "boolean") {
+    throw new IntentValidationError("intent.boost must be true or false");
+  }
+
+  const k = numberOption(
+    input.k,
+    "intent.k",
+    DEFAULT_NEIGHBOURS,
+    1,
+    MAX_NEIGHBOURS
+  );
+  if (!Number.isInteger(k)) {
+    throw new IntentValidationError("intent.k must be a whole number");
+  }
+
+  return {
+    k,
+    threshold: numberOption(
+      input.threshold,
+      "intent.threshold",
+      DEFAULT_THRESHOLD,
+      0,
+      1
+    ),
+    boost: Boolean(input.boost),
+    weight: numberOption(
+      input.weight,
+      "intent.weight",
+      DEFAULT_BOOST_WEIGHT,
+      0,
+      1
+    ),
+  };
+}
+
+/**
+ * Similarity-weighted vote over the neighbours for each intent field
+ * @returns {Object} { field: { label, confidence, alternatives } }
+ */
+function voteLabels(neighbours) {
+  const weights = neighbours.map((neighbour) =>
+    Math.max(neighbour.similarity || 0, 0)
+  );
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const predictions = {};
+
+  for (const field of INTENT_FIELDS) {
+    const votes = new Map();
+    neighbours.forEach((neighbour, index) => {
+      const label = neighbour[field];
+      if (label === undefined || label === null || label === "") return;
+      votes.set(label, (votes.get(label) || 0) + weights[index]);
+    });
+
+    const ranked = Array.from(votes, ([label, weight]) => ({
+      label,
+      confidence: totalWeight > 0 ? weight / totalWeight : 0,
+    })).sort((a, b) => b.confidence - a.confidence);
+
+    predictions[field] = ranked.length
+      ? {
+          label: ranked[0].label,
+          confidence: ranked[0].confidence,
+          alternatives: ranked.slice(1, 1 + ALTERNATIVE_LABELS),
+        }
+      : { label: null, confidence: 0, alternatives: [] };
+  }
+
+  return predictions;
+}
+
+/**
+ * Labels confident enough to treat as filters. Fields the request already
+ * filters on are never inferred.
+ * @returns {Object} { field: label }
+ */
+function inferredFilters(predictions, threshold, filters = {}) {
+  const inferred = {};
+  for (const [field, prediction] of Object.entries(predictions)) {
+    if (field in filters || prediction.label === null) continue;
+    if (prediction.confidence >= threshold) {
+      inferred[field] = prediction.label;
+    }
+  }
+  return inferred;
+}
+
+/**
+ * Predict intent labels for a query from its nearest labelled neighbours
+ * @param {string} query - Free-text query
+ * @param {Object} options - { k, threshold, filters, queryEmbedding }
+ * @returns {Promise<Object>} { predictions, inferredFilters, neighbours }
+ */
+async function classifyIntent(query, options = {}) {
+  const settings = parseIntent({ k: options.k, threshold: options.threshold });
+  const startTime = Date.now();
+  const queryEmbedding =
+    options.queryEmbedding || (await generateEmbedding(query));
+
+  // Whole-corpus neighbours: labels should not depend on the search filters
+  const neighbours = await searchByMode(query, settings.k, {}, "vector", {
+    queryEmbedding,
+    passages: false,
+  });
+  const predictions = voteLabels(neighbours);
+  const inferred = inferredFilters(
+    predictions,
+    settings.threshold,
+    options.filters
+  );
+
+  console.log(
+    `🧭 Intent from ${neighbours.length} neighbours in ${
+      Date.now() - startTime
+    }ms: ${
+      Object.entries(inferred)
+        .map(([field, label]) => `${field}=${label}`)
+        .join(", ") || "nothing confident"
+    }`
+  );
+
+  return {
+    predictions,
+    inferredFilters: inferred,
+    neighbours: neighbours.length,
+  };
+}
+
+/**
+ * Boost results carrying inferred labels. `score` (and finalScore, when
+ * ranking boosts ran) is multiplied by the intentBoost.
+ * @param {Array} results - Results carrying a `score`
+ * @param {Object} intent - { predictions, inferredFilters, weight }
+ * @returns {Array} Boosted results
+ */
+function applyIntentBoost(results, intent) {
+  const inferred = Object.entries(intent.inferredFilters);
+  if (inferred.length === 0) return results;
+
+  return results.map((result) => {
+    let intentBoost = 1;
+    for (const [field, label] of inferred) {
+      if (result[field] === label) {
+        intentBoost *= 1 + intent.weight * intent.predictions[field].confidence;
+      }
+    }
+    const score = result.score * intentBoost;
+
+    return {
+      ...result,
+      intentBoost,
+      score,
+      ...(typeof result.finalScore === "number" ? { finalScore: score } : {}),
+    };
+  });
+}
+
+module.exports = {
+  parseIntent,
+  classifyIntent,
+  inferredFilters,
+  applyIntentBoost,
+  IntentValidationError,
+  INTENT_FIELDS,
+};
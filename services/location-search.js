@@ -0,0 +1,182 @@
+/**
+ * Location-aware search: answers from the caller's own block come first,
+ * then the rest of the district, the state and finally all of India.
+ *
+ * Each level is a separate retrieval whose filter excludes the narrower
+ * levels, so a document is found (and tagged) at exactly one level:
+ *   block     StateName = s, DistrictName = d, BlockName = b
+ *   district  StateName = s, DistrictName = d, BlockName != b
+ *   state     StateName = s, DistrictName != d
+ *   national  StateName != s
+ * Location values are matched as whole values in any case, like the filter
+ * language.
+ */
+
+const { parseFilters } = require("./search-filters");
+
+const LOCATION_LEVELS = ["block", "district", "state", "national"];
+const LOCATION_FIELDS = ["StateName", "DistrictName", "BlockName"];
+const MAX_LOCATION_LENGTH = 200;
+
+class LocationValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LocationValidationError";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Validate a location and trim its values. Each level needs the one above
+ * it, since block and district names repeat across the country.
+ * @param {Object} location - { StateName, DistrictName, BlockName }
+ * @returns {Object|null} Normalized location, or null when none was given
+ * @throws {LocationValidationError} When a field is unknown or missing
+ */
+function parseLocation(location) {
+  if (location === undefined || location === null || location === "") {
+    return null;
+  }
+  if (typeof location !== "object" || Array.isArray(location)) {
+    throw new LocationValidationError("location must be an object");
+  }
+
+  const normalized = {};
+  for (const [field, value] of Object.entries(location)) {
+    if (!LOCATION_FIELDS.includes(field)) {
+      throw new LocationValidationError(`Unknown location field: ${field}`);
+    }
+    if (value === undefined || value === null || value === "") continue;
+    if (typeof value !== "string") {
+      throw new LocationValidationError(`${field} expects a string value`);
+    }
+
+    const text = value.trim();
+    if (text.length === 0 || text.length > MAX_LOCATION_LENGTH) {
+      throw new LocationValidationError(
+        `${field} must be 1-${MAX_LOCATION_LENGTH} characters`
+      );
+    }
+    normalized[field] = text;
+  }
+
+  if (Object.keys(normalized).length === 0) return null;
+  if (!normalized.StateName) {
+    throw new LocationValidationError("location needs a StateName");
+  }
+  if (normalized.BlockName && !normalized.DistrictName) {
+    throw new LocationValidationError(
+      "location needs a DistrictName to search by BlockName"
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * The levels to search for a location, narrowest first
+ * @returns {Array} [{ level, tier, filters }]
+ */
+function locationTiers(location) {
+  const { StateName, DistrictName, BlockName } = location;
+  const tiers = [];
+
+  if (BlockName) {
+    tiers.push({
+      level: "block",
+      filters: { StateName, DistrictName, BlockName },
+    });
+  }
+  if (DistrictName) {
+    tiers.push({
+      level: "district",
+      filters: BlockName
+        ? { StateName, DistrictName, BlockName: { $ne: BlockName } }
+        : { StateName, DistrictName },
+    });
+  }
+  tiers.push({
+    level: "state",
+    filters: DistrictName
+      ? { StateName, DistrictName: { $ne: DistrictName } }
+      : { StateName },
+  });
+  tiers.push({ level: "national", filters: { StateName: { $ne: StateName } } });
+
+  return tiers.map((tier) => ({
+    ...tier,
+    tier: LOCATION_LEVELS.indexOf(tier.level),
+  }));
+}
+
+/**
+ * Validate request filters for a location search: they cannot filter on
+ * the location fields themselves
+ * @returns {Object} Normalized filters
+ * @throws {LocationValidationError} When a filter names a location field
+ */
+function parseLocationFilters(filters) {
+  const normalized = parseFilters(filters);
+  const conflicts = LOCATION_FIELDS.filter((field) => field in normalized);
+  if (conflicts.length > 0) {
+    throw new LocationValidationError(
+      `Filters on ${conflicts.join(", ")} cannot be combined with location`
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Validate a request's location together with its filters
+ * @returns {Object|null} Normalized location, or null when none was given
+ * @throws {LocationValidationError} When either is invalid
+ */
+function validateLocationRequest(location, filters) {
+  const normalized = parseLocation(location);
+  if (normalized) parseLocationFilters(filters);
+  return normalized;
+}
+
+/**
+ * Combine request filters with a level's location filters
+ */
+function mergeLocationFilters(filters, tierFilters) {
+  return { ...parseLocationFilters(filters), ...tierFilters };
+}
+
+/**
+ * Fill a result list level by level until it holds `depth` results
+ * @param {Object} location - Output of parseLocation
+ * @param {Object} filters - Request filters
+ * @param {number} depth - Results wanted across all levels
+ * @param {Function} retrieve - async (filters, limit) => results
+ * @returns {Promise<Array>} Results tagged with locationLevel and locationTier
+ */
+async function searchLocationTiers(location, filters, depth, retrieve) {
+  const results = [];
+
+  for (const { level, tier, filters: tierFilters } of locationTiers(location)) {
+    const found = await retrieve(
+      mergeLocationFilters(filters, tierFilters),
+      depth - results.length
+    );
+    for (const result of found) {
+      results.push({ ...result, locationLevel: level, locationTier: tier });
+    }
+
+    console.log(`📍 ${level}: ${found.length} results`);
+    if (results.length >= depth) break;
+  }
+
+  return results;
+}
+
+module.exports = {
+  parseLocation,
+  validateLocationRequest,
+  locationTiers,
+  mergeLocationFilters,
+  searchLocationTiers,
+  LocationValidationError,
+  LOCATION_LEVELS,
+};
@@ -0,0 +1,166 @@
+/**
+ * Which stored vectors a search scores against (`matchOn`).
+ *
+ * Every embedded document has `embedding`, built from Category, QueryType,
+ * QueryText and KccAns together ("combined"). Documents can also carry
+ * `questionEmbedding` (QueryText only) and `answerEmbedding` (KccAns only),
+ * written by the "question-answer" background job and tagged with
+ * `questionAnswerModel`. A search can match on one of the three vectors or
+ * on a weighted blend of them.
+ */
+
+const { getEmbeddingProvider } = require("./embedding-providers");
+
+const MATCH_TARGETS = ["combined", "question", "answer"];
+
+const TARGET_FIELDS = {
+  combined: "embedding",
+  question: "questionEmbedding",
+  answer: "answerEmbedding",
+};
+
+// Field holding the model that wrote each target's vector
+const TARGET_MODEL_FIELDS = {
+  combined: "embeddingModel",
+  question: "questionAnswerModel",
+  answer: "questionAnswerModel",
+};
+
+const COMBINED_ONLY = { combined: 1 };
+
+class MatchOnValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MatchOnValidationError";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Resolve matchOn to target weights that sum to 1.
+ * Accepts "question", "answer", "combined" or weights such as
+ * { question: 0.7, answer: 0.3 }.
+ * @returns {Object} Weights by target ({ combined: 1 } by default)
+ * @throws {MatchOnValidationError} When a target or weight is invalid
+ */
+function parseMatchOn(input) {
+  if (input === undefined || input === null || input === "") {
+    return COMBINED_ONLY;
+  }
+
+  if (typeof input === "string") {
+    if (!MATCH_TARGETS.includes(input)) {
+      throw new MatchOnValidationError(
+        `matchOn must be one of: ${MATCH_TARGETS.join(", ")}`
+      );
+    }
+    return { [input]: 1 };
+  }
+
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new MatchOnValidationError(
+      "matchOn must be a target name or an object of weights"
+    );
+  }
+
+  const weights = {};
+  let total = 0;
+  for (const [target, value] of Object.entries(input)) {
+    if (!MATCH_TARGETS.includes(target)) {
+      throw new MatchOnValidationError(`Unknown matchOn target: ${target}`);
+    }
+    const weight = Number(value);
+    if (typeof value === "boolean" || !Number.isFinite(weight) || weight < 0) {
+      throw new MatchOnValidationError(
+        `matchOn.${target} must be a non-negative number`
+      );
+    }
+    if (weight > 0) {
+      weights[target] = weight;
+      total += weight;
+    }
+  }
+
+  if (total === 0) {
+    throw new MatchOnValidationError(
+      "matchOn needs at least one weight above 0"
+    );
+  }
+  for (const target of Object.keys(weights)) {
+    weights[target] /= total;
+  }
+  return weights;
+}
+
+/**
+ * Whether the weights select just the combined vector (the default path)
+ */
+function isCombinedOnly(weights) {
+  return (
+    !weights || (Object.keys(weights).length === 1 && weights.combined === 1)
+  );
+}
+
+function createQuestionText(document) {
+  return (document.QueryText || "").trim();
+}
+
+function createAnswerText(document) {
+  return (document.KccAns || "").trim();
+}
+
+/**
+ * MongoDB condition for documents whose question and answer vectors come
+ * from the active provider
+ */
+function questionAnswerFilter() {
+  return { questionAnswerModel: getEmbeddingProvider().name };
+}
+
+/**
+ * MongoDB condition for documents the question-answer job still has to embed
+ */
+function missingQuestionAnswerFilter() {
+  return { questionAnswerModel: { $ne: getEmbeddingProvider().name } };
+}
+
+/**
+ * MongoDB condition for documents that have at least one of the vectors
+ * the weights use
+ */
+function matchTargetFilter(weights) {
+  const active = getEmbeddingProvider().name;
+  const clauses = [
+    ...new Set(
+      Object.keys(weights).map((target) => TARGET_MODEL_FIELDS[target])
+    ),
+  ].map((field) => ({ [field]: active }));
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+}
+
+/**
+ * Projection of the vectors (and their model fields) the weights use
+ */
+function matchTargetProjection(weights) {
+  const projection = {};
+  for (const target of Object.keys(weights)) {
+    projection[TARGET_FIELDS[target]] = 1;
+    projection[TARGET_MODEL_FIELDS[target]] = 1;
+  }
+  return projection;
+}
+
+module.exports = {
+  parseMatchOn,
+  isCombinedOnly,
+  createQuestionText,
+  createAnswerText,
+  questionAnswerFilter,
+  missingQuestionAnswerFilter,
+  matchTargetFilter,
+  matchTargetProjection,
+  MatchOnValidationError,
+  MATCH_TARGETS,
+  TARGET_FIELDS,
+  TARGET_MODEL_FIELDS,
+};
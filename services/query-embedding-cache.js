@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+const QueryEmbedding = require("../models/QueryEmbedding");
+
+/**
+ * LRU cache of query embeddings with a time-to-live.
+ *
+ * The most recently used QUERY_CACHE_SIZE entries are kept in process. Unless
+ * QUERY_CACHE_PERSIST is "false", entries are also written to the
+ * query_embeddings collection, so a restarted (or another) server instance
+ * finds popular queries there instead of running the model again. An entry
+ * expires QUERY_CACHE_TTL_SECONDS after its embedding was computed, in
+ * memory and in MongoDB alike (a TTL index removes it there).
+ */
+class QueryEmbeddingCache {
+  constructor(options = {}) {
+    this.maxSize =
+      options.maxSize || parseInt(process.env.QUERY_CACHE_SIZE) || 1000;
+    this.ttlMs =
+      (options.ttlSeconds ||
+        parseInt(process.env.QUERY_CACHE_TTL_SECONDS) ||
+        7 * 24 * 60 * 60) * 1000;
+    this.persist =
+      options.persist !== undefined
+        ? options.persist
+        : process.env.QUERY_CACHE_PERSIST !== "false";
+    // key -> { embedding, expiresAt }; Map order is least recently used first
+    this.entries = new Map();
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.hits = 0;
+    this.persistentHits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.expirations = 0;
+    this.persistErrors = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * The MongoDB store is only used while connected
+   */
+  isPersistent() {
+    return this.persist && mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Look up a query embedding
+   * @param {string} key - "<provider>|<normalized query>"
+   * @returns {Promise<Array|null>} The embedding, or null on a miss
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      if (entry.expiresAt > Date.now()) {
+        // Re-insert to mark as most recently used
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.embedding;
+      }
+      this.expirations++;
+    }
+
+    if (this.isPersistent()) {
+      try {
+        const stored = await QueryEmbedding.findOne({
+          key,
+          expiresAt: { $gt: new Date() },
+        }).lean();
+        if (stored) {
+          this.remember(key, stored.embedding, stored.expiresAt.getTime());
+          this.persistentHits++;
+          return stored.embedding;
+        }
+      } catch (error) {
+        this.recordError("read", error);
+      }
+    }
+
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Cache a freshly computed query embedding. The MongoDB write is not
+   * awaited; a failed write only costs a later cache miss.
+   */
+  set(key, embedding, model) {
+    const expiresAt = Date.now() + this.ttlMs;
+    this.remember(key, embedding, expiresAt);
+
+    if (this.isPersistent()) {
+      QueryEmbedding.updateOne(
+        { key },
+        {
+          $set: {
+            embeddingModel: model,
+            embedding,
+            expiresAt: new Date(expiresAt),
+          },
+        },
+        { upsert: true }
+      ).catch((error) => this.recordError("write", error));
+    }
+  }
+
+  remember(key, embedding, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, { embedding, expiresAt });
+
+    while (this.entries.size > this.maxSize) {
+      // Evict the least recently used entry
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  recordError(operation, error) {
+    this.persistErrors++;
+    this.lastError = `${operation}: ${error.message}`;
+    console.warn(
+      `⚠️ Query embedding cache ${operation} failed:`,
+      error.message
+    );
+  }
+
+  getStatus() {
+    const lookups = this.hits + this.persistentHits + this.misses;
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      ttlSeconds: this.ttlMs / 1000,
+      persistent: this.persist,
+      connected: this.isPersistent(),
+      hits: this.hits,
+      persistentHits: this.persistentHits,
+      misses: this.misses,
+      evictions: this.evictions,
+      expirations: this.expirations,
+      hitRate:
+        lookups > 0
+          ? parseFloat(((this.hits + this.persistentHits) / lookups).toFixed(4))
+          : null,
+      persistErrors: this.persistErrors,
+      lastError: this.lastError,
+    };
+  }
+}
+
+// Create singleton instance
+const queryEmbeddingCache = new QueryEmbeddingCache();
+
+module.exports = queryEmbeddingCache;
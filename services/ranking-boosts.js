@@ -0,0 +1,244 @@
+/**
+ * Recency and seasonality boosts applied on top of retrieval scores.
+ *
+ *   recency   score *= (1 - weight) + weight * 0.5^(ageDays / halfLifeDays)
+ *   seasonal  score *= 1 + weight when the document's month, or its Season,
+ *             matches the target month (the current month by default)
+ *
+ * Boosts are multiplicative, so they work on similarity, fused and reranked
+ * scores alike. Each boosted result keeps its retrieval score as baseScore.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BOOSTS_ENABLED_BY_DEFAULT = process.env.RANKING_BOOSTS_ENABLED === "true";
+const DEFAULT_HALF_LIFE_DAYS =
+  parseFloat(process.env.BOOST_RECENCY_HALF_LIFE_DAYS) || 365;
+const DEFAULT_RECENCY_WEIGHT = weightFromEnv(
+  process.env.BOOST_RECENCY_WEIGHT,
+  0.2
+);
+const DEFAULT_SEASONAL_WEIGHT = weightFromEnv(
+  process.env.BOOST_SEASONAL_WEIGHT,
+  0.1
+);
+const MAX_HALF_LIFE_DAYS = 36500;
+
+// Indian cropping seasons by calendar month
+const SEASON_BY_MONTH = {
+  1: "rabi",
+  2: "rabi",
+  3: "rabi",
+  4: "zaid",
+  5: "zaid",
+  6: "kharif",
+  7: "kharif",
+  8: "kharif",
+  9: "kharif",
+  10: "kharif",
+  11: "rabi",
+  12: "rabi",
+};
+
+// Spellings seen in the Season column
+const SEASON_ALIASES = {
+  kharif: ["kharif"],
+  rabi: ["rabi"],
+  zaid: ["zaid", "zayad", "jayad", "summer"],
+};
+
+function weightFromEnv(value, fallback) {
+  const weight = parseFloat(value);
+  return Number.isFinite(weight) && weight >= 0 && weight <= 1
+    ? weight
+    : fallback;
+}
+
+class BoostValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BoostValidationError";
+    this.statusCode = 400;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function numberOption(value, name, fallback, min, max) {
+  if (value === undefined || value === null) return fallback;
+  const number = Number(value);
+  if (typeof value === "boolean" || !Number.isFinite(number)) {
+    throw new BoostValidationError(`${name} must be a number`);
+  }
+  if (number < min || number > max) {
+    throw new BoostValidationError(`${name} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function checkKeys(object, allowed, name) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      throw new BoostValidationError(`Unknown ${name} option: ${key}`);
+    }
+  }
+}
+
+/**
+ * Resolve the boost settings for a search request.
+ * `true` uses the server defaults, `false` disables boosting, and an object
+ * such as { recency: { halfLifeDays: 180 }, seasonal: { month: 7 } } tunes
+ * them; either boost can be switched off with `false` (or `null`).
+ * @param {boolean|Object} input - Request boosts (undefined uses the server setting)
+ * @param {Date} now - Reference time for ages and the default month
+ * @returns {Object|null} { recency, seasonal, referenceTime } or null when off
+ * @throws {BoostValidationError} When an option is unknown or out of range
+ */
+function parseBoosts(input, now = new Date()) {
+  if (input === undefined || input === null) {
+    input = BOOSTS_ENABLED_BY_DEFAULT;
+  }
+  if (input === false) return null;
+  if (input === true) input = {};
+
+  if (!isPlainObject(input)) {
+    throw new BoostValidationError("boosts must be true, false or an object");
+  }
+  checkKeys(input, ["recency", "seasonal", "referenceTime"], "boosts");
+
+  // Cursors replay the first page's reference time so scores stay stable
+  const referenceTime = input.referenceTime
+    ? new Date(input.referenceTime)
+    : now;
+  if (Number.isNaN(referenceTime.getTime())) {
+    throw new BoostValidationError("boosts.referenceTime must be a date");
+  }
+
+  // A resolved setting (as stored in a cursor) keeps a disabled boost as null
+  let recency = null;
+  if (input.recency !== false && input.recency !== null) {
+    const options = isPlainObject(input.recency) ? input.recency : {};
+    checkKeys(options, ["halfLifeDays", "weight"], "boosts.recency");
+    recency = {
+      halfLifeDays: numberOption(
+        options.halfLifeDays,
+        "boosts.recency.halfLifeDays",
+        DEFAULT_HALF_LIFE_DAYS,
+        1,
+        MAX_HALF_LIFE_DAYS
+      ),
+      weight: numberOption(
+        options.weight,
+        "boosts.recency.weight",
+        DEFAULT_RECENCY_WEIGHT,
+        0,
+        1
+      ),
+    };
+  }
+
+  let seasonal = null;
+  if (input.seasonal !== false && input.seasonal !== null) {
+    const options = isPlainObject(input.seasonal) ? input.seasonal : {};
+    // `season` is derived from the month; it is accepted so a resolved
+    // setting (as stored in a cursor) parses again
+    checkKeys(options, ["month", "season", "weight"], "boosts.seasonal");
+    const month = numberOption(
+      options.month,
+      "boosts.seasonal.month",
+      referenceTime.getUTCMonth() + 1,
+      1,
+      12
+    );
+    if (!Number.isInteger(month)) {
+      throw new BoostValidationError("boosts.seasonal.month must be 1-12");
+    }
+    seasonal = {
+      month,
+      season: SEASON_BY_MONTH[month],
+      weight: numberOption(
+        options.weight,
+        "boosts.seasonal.weight",
+        DEFAULT_SEASONAL_WEIGHT,
+        0,
+        1
+      ),
+    };
+  }
+
+  return { recency, seasonal, referenceTime: referenceTime.toISOString() };
+}
+
+/**
+ * Recency multiplier; undated documents get no boost (treated as old)
+ */
+function recencyMultiplier(document, recency, referenceTime) {
+  const createdOn = document.CreatedOn ? new Date(document.CreatedOn) : null;
+  if (!createdOn || Number.isNaN(createdOn.getTime())) {
+    return 1 - recency.weight;
+  }
+
+  const ageDays = Math.max(0, (referenceTime - createdOn) / DAY_MS);
+  const decay = Math.pow(0.5, ageDays / recency.halfLifeDays);
+  return 1 - recency.weight + recency.weight * decay;
+}
+
+function matchesSeason(seasonText, season) {
+  const text = String(seasonText || "").toLowerCase();
+  return SEASON_ALIASES[season].some((alias) => text.includes(alias));
+}
+
+/**
+ * Seasonal multiplier: the document's month (or CreatedOn month) or its
+ * Season matches the target month
+ */
+function seasonalMultiplier(document, seasonal) {
+  let month = Number(document.month);
+  if (!month && document.CreatedOn) {
+    month = new Date(document.CreatedOn).getUTCMonth() + 1;
+  }
+
+  const inSeason =
+    month === seasonal.month || matchesSeason(document.Season, seasonal.season);
+  return inSeason ? 1 + seasonal.weight : 1;
+}
+
+/**
+ * Apply boosts to scored results. `score` becomes the boosted finalScore;
+ * the retrieval score is kept as baseScore.
+ * @param {Array} results - Results carrying a `score`
+ * @param {Object|null} boosts - Settings from parseBoosts
+ * @returns {Array} Boosted results (unchanged when boosts is null)
+ */
+function applyBoosts(results, boosts) {
+  if (!boosts) return results;
+  const referenceTime = new Date(boosts.referenceTime);
+
+  return results.map((result) => {
+    const recencyBoost = boosts.recency
+      ? recencyMultiplier(result, boosts.recency, referenceTime)
+      : 1;
+    const seasonalBoost = boosts.seasonal
+      ? seasonalMultiplier(result, boosts.seasonal)
+      : 1;
+    const finalScore = result.score * recencyBoost * seasonalBoost;
+
+    return {
+      ...result,
+      baseScore: result.score,
+      recencyBoost,
+      seasonalBoost,
+      finalScore,
+      score: finalScore,
+    };
+  });
+}
+
+module.exports = {
+  parseBoosts,
+  applyBoosts,
+  BoostValidationError,
+  SEASON_BY_MONTH,
+};
@@ -0,0 +1,285 @@
+/**
+ * Relevance feedback: agents mark a search result as the right answer (up)
+ * or wrong (down) for the caller's query.
+ *
+ * With the optional feedback signal, a result is boosted or demoted by the
+ * votes it got for past queries similar to the current one (cosine at least
+ * minSimilarity). Votes are weighted by that similarity and shrunk towards
+ * zero while there are few of them:
+ *
+ *   net = (up - down) / (up + down + FEEDBACK_PRIOR)
+ *   score *= 1 + weight * net
+ */
+
+const mongoose = require("mongoose");
+const Document = require("../models/Document");
+const Feedback = require("../models/Feedback");
+const { getEmbeddingProvider } = require("./embedding-providers");
+const { generateEmbedding, cosineSimilarity } = require("./semantic-search");
+
+const DEFAULT_FEEDBACK_WEIGHT = unitFromEnv(
+  process.env.FEEDBACK_BOOST_WEIGHT,
+  0.3
+);
+const DEFAULT_MIN_SIMILARITY = unitFromEnv(
+  process.env.FEEDBACK_MIN_SIMILARITY,
+  0.8
+);
+// Only a document's most recent votes are compared with the query, so a
+// heavily voted document costs no more than this per search
+const MAX_VOTES_PER_DOCUMENT =
+  parseInt(process.env.FEEDBACK_MAX_VOTES_PER_DOCUMENT) || 100;
+// Pseudo-votes of no opinion: one vote moves a result less than several
+const FEEDBACK_PRIOR = 1;
+const MAX_AGENT_LENGTH = 100;
+
+function unitFromEnv(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 && number <= 1
+    ? number
+    : fallback;
+}
+
+class FeedbackValidationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "FeedbackValidationError";
+    this.statusCode = statusCode;
+  }
+}
+
+function normalizeQuery(query) {
+  return String(query || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Validate a vote
+ * @param {Object} input - { query, documentId, vote, agent }; vote is
+ *   "up"/"down" or 1/-1, agent a name or anonymous session key
+ * @returns {Object} { query, documentId, vote, agent }
+ * @throws {FeedbackValidationError} On a missing or malformed field
+ */
+function parseFeedback(input = {}) {
+  const { query, documentId, agent } = input;
+  if (typeof query !== "string" || !query.trim()) {
+    throw new FeedbackValidationError("query is required");
+  }
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    throw new FeedbackValidationError("documentId must be a document id");
+  }
+
+  const votes = { up: 1, down: -1, 1: 1, "-1": -1 };
+  const vote = votes[String(input.vote)];
+  if (!vote) {
+    throw new FeedbackValidationError('vote must be "up" or "down"');
+  }
+
+  // Every vote belongs to an agent (or an anonymous session key), so a
+  // repeated click replaces the earlier vote instead of adding one
+  if (
+    typeof agent !== "string" ||
+    !agent.trim() ||
+    agent.length > MAX_AGENT_LENGTH
+  ) {
+    throw new FeedbackValidationError(
+      `agent is required, at most ${MAX_AGENT_LENGTH} characters`
+    );
+  }
+
+  return {
+    query: query.trim(),
+    documentId: String(documentId),
+    vote,
+    agent: agent.trim(),
+  };
+}
+
+/**
+ * Store a vote. An agent voting again on the same query and document
+ * replaces the earlier vote, whichever way it went.
+ * @returns {Promise<Object>} The stored feedback (without the embedding)
+ * @throws {FeedbackValidationError} 400 on bad input, 404 when the
+ *   document does not exist
+ */
+async function recordFeedback(input) {
+  const feedback = parseFeedback(input);
+
+  if (!(await Document.exists({ _id: feedback.documentId }))) {
+    throw new FeedbackValidationError("Document not found", 404);
+  }
+
+  const record = {
+    ...feedback,
+    normalizedQuery: normalizeQuery(feedback.query),
+    queryEmbedding: await generateEmbedding(feedback.query),
+    embeddingModel: getEmbeddingProvider().name,
+  };
+
+  const key = {
+    agent: feedback.agent,
+    normalizedQuery: record.normalizedQuery,
+    documentId: feedback.documentId,
+  };
+  const upsertVote = () =>
+    Feedback.findOneAndUpdate(key, record, {
+      upsert: true,
+      new: true,
+      setDefaultsOnInsert: true,
+    }).lean();
+
+  let saved;
+  try {
+    saved = await upsertVote();
+  } catch (error) {
+    // Two clicks raced to insert the same vote; the unique index kept one,
+    // which this retry now updates
+    if (error.code !== 11000) throw error;
+    saved = await upsertVote();
+  }
+
+  const { queryEmbedding, ...stored } = saved;
+  return stored;
+}
+
+function numberOption(value, name, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  if (typeof value === "boolean" || !Number.isFinite(number)) {
+    throw new FeedbackValidationError(`${name} must be a number`);
+  }
+  if (number < 0 || number > 1) {
+    throw new FeedbackValidationError(`${name} must be between 0 and 1`);
+  }
+  return number;
+}
+
+/**
+ * Resolve feedback ranking settings.
+ * `true` uses the defaults; an object such as
+ * { weight: 0.5, minSimilarity: 0.85 } tunes them.
+ * @returns {Object|null} { weight, minSimilarity } or null when off
+ * @throws {FeedbackValidationError} When an option is unknown or out of range
+ */
+function parseFeedbackBoost(input) {
+  if (input === undefined || input === null || input === false) return null;
+  if (input === true) input = {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new FeedbackValidationError(
+      "feedback must be true, false or an object"
+    );
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!["weight", "minSimilarity"].includes(key)) {
+      throw new FeedbackValidationError(`Unknown feedback option: ${key}`);
+    }
+  }
+
+  return {
+    weight: numberOption(
+      input.weight,
+      "feedback.weight",
+      DEFAULT_FEEDBACK_WEIGHT
+    ),
+    minSimilarity: numberOption(
+      input.minSimilarity,
+      "feedback.minSimilarity",
+      DEFAULT_MIN_SIMILARITY
+    ),
+  };
+}
+
+/**
+ * Boost or demote results by the feedback they got for similar queries.
+ * `score` (and finalScore, when ranking boosts ran) is multiplied by
+ * feedbackBoost; feedbackVotes counts the votes that applied. Each document
+ * contributes at most its MAX_VOTES_PER_DOCUMENT most recent votes.
+ * @param {Array} results - Results carrying a `score`
+ * @param {Array} queryEmbedding - Embedding of the current query
+ * @param {Object} settings - { weight, minSimilarity }
+ * @returns {Promise<Array>} Re-scored results
+ */
+async function applyFeedbackBoost(results, queryEmbedding, settings) {
+  if (results.length === 0) return results;
+
+  const grouped = await Feedback.aggregate([
+    {
+      $match: {
+        documentId: {
+          $in: results.map(
+            (result) => new mongoose.Types.ObjectId(String(result._id))
+          ),
+        },
+        embeddingModel: getEmbeddingProvider().name,
+      },
+    },
+    {
+      $group: {
+        _id: "$documentId",
+        votes: {
+          $topN: {
+            n: MAX_VOTES_PER_DOCUMENT,
+            sortBy: { updatedAt: -1 },
+            output: { vote: "$vote", queryEmbedding: "$queryEmbedding" },
+          },
+        },
+      },
+    },
+  ]);
+  const feedback = grouped.flatMap((group) =>
+    group.votes.map((vote) => ({ ...vote, documentId: group._id }))
+  );
+
+  const votesByDocument = new Map();
+  for (const item of feedback) {
+    if (item.queryEmbedding.length !== queryEmbedding.length) continue;
+    const similarity = cosineSimilarity(queryEmbedding, item.queryEmbedding);
+    if (similarity < settings.minSimilarity) continue;
+
+    const id = String(item.documentId);
+    const votes = votesByDocument.get(id) || {
+      up: 0,
+      down: 0,
+      upWeight: 0,
+      downWeight: 0,
+    };
+    if (item.vote > 0) {
+      votes.up++;
+      votes.upWeight += similarity;
+    } else {
+      votes.down++;
+      votes.downWeight += similarity;
+    }
+    votesByDocument.set(id, votes);
+  }
+
+  return results.map((result) => {
+    const votes = votesByDocument.get(String(result._id));
+    if (!votes) return { ...result, feedbackBoost: 1, feedbackVotes: null };
+
+    const net =
+      (votes.upWeight - votes.downWeight) /
+      (votes.upWeight + votes.downWeight + FEEDBACK_PRIOR);
+    const feedbackBoost = 1 + settings.weight * net;
+    const score = result.score * feedbackBoost;
+
+    return {
+      ...result,
+      feedbackBoost,
+      feedbackVotes: { up: votes.up, down: votes.down },
+      score,
+      ...(typeof result.finalScore === "number" ? { finalScore: score } : {}),
+    };
+  });
+}
+
+module.exports = {
+  parseFeedback,
+  recordFeedback,
+  parseFeedbackBoost,
+  applyFeedbackBoost,
+  FeedbackValidationError,
+};
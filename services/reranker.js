@@ -0,0 +1,176 @@
+/**
+ * Cross-encoder re-ranking for search candidates.
+ *
+ * A reranker is any object with `name` and an async
+ * `score(query, passages) -> number[]` method returning one relevance score
+ * per passage (higher is better). The default loads a local cross-encoder
+ * through @xenova/transformers; tests can install the deterministic stub with
+ * setReranker(createStubReranker()).
+ */
+
+const DEFAULT_RERANKER_MODEL =
+  process.env.RERANKER_MODEL || "Xenova/ms-marco-MiniLM-L-6-v2";
+const DEFAULT_RERANK_TOP_N = parseInt(process.env.RERANKER_TOP_N) || 50;
+const MAX_RERANK_TOP_N = 200;
+
+let activeReranker = null;
+
+/**
+ * Reranker that scores query-passage pairs with a cross-encoder model
+ */
+function createCrossEncoderReranker(modelName = DEFAULT_RERANKER_MODEL) {
+  let modelPromise = null;
+
+  const loadModel = () => {
+    if (!modelPromise) {
+      modelPromise = (async () => {
+        const {
+          AutoTokenizer,
+          AutoModelForSequenceClassification,
+        } = require("@xenova/transformers");
+
+        console.log(`🤖 Loading ${modelName} cross-encoder...`);
+        const tokenizer = await AutoTokenizer.from_pretrained(modelName);
+        const model = await AutoModelForSequenceClassification.from_pretrained(
+          modelName
+        );
+        console.log("✅ Cross-encoder loaded successfully!");
+        return { tokenizer, model };
+      })().catch((error) => {
+        modelPromise = null; // Allow a retry on the next request
+        throw error;
+      });
+    }
+    return modelPromise;
+  };
+
+  return {
+    name: `cross-encoder:${modelName}`,
+    async score(query, passages) {
+      if (passages.length === 0) return [];
+
+      const { tokenizer, model } = await loadModel();
+      const inputs = tokenizer(new Array(passages.length).fill(query), {
+        text_pair: passages,
+        padding: true,
+        truncation: true,
+      });
+      const { logits } = await model(inputs);
+
+      // One relevance logit per pair, squashed to 0..1
+      return Array.from(logits.data).map((logit) => 1 / (1 + Math.exp(-logit)));
+    },
+  };
+}
+
+/**
+ * Deterministic offline reranker: scores the share of query terms that
+ * appear in the passage. Intended for tests and offline evaluation.
+ */
+function createStubReranker() {
+  const tokenize = (text) =>
+    (text || "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+
+  return {
+    name: "stub:term-overlap",
+    async score(query, passages) {
+      const queryTerms = new Set(tokenize(query));
+      return passages.map((passage) => {
+        if (queryTerms.size === 0) return 0;
+        const passageTerms = new Set(tokenize(passage));
+        let matched = 0;
+        queryTerms.forEach((term) => {
+          if (passageTerms.has(term)) matched++;
+        });
+        return matched / queryTerms.size;
+      });
+    },
+  };
+}
+
+/**
+ * Install the reranker used by rerankResults (pass null to restore default)
+ */
+function setReranker(reranker) {
+  if (reranker && typeof reranker.score !== "function") {
+    throw new Error("A reranker must implement score(query, passages)");
+  }
+  activeReranker = reranker;
+}
+
+function getReranker() {
+  if (!activeReranker) {
+    activeReranker = createCrossEncoderReranker();
+  }
+  return activeReranker;
+}
+
+/**
+ * Text the cross-encoder sees for a document
+ */
+function createRerankText(document) {
+  const crop = document.Crop ? `Crop: ${document.Crop}. ` : "";
+  return `${crop}${document.QueryText || ""} ${document.KccAns || ""}`.trim();
+}
+
+function resolveTopN(topN) {
+  return Math.max(
+    1,
+    Math.min(MAX_RERANK_TOP_N, parseInt(topN) || DEFAULT_RERANK_TOP_N)
+  );
+}
+
+/**
+ * Rescore the top N candidates with the active reranker.
+ * Only the reranked candidates are returned, ordered by rerankScore; each
+ * keeps its retrieval score as originalScore.
+ * @param {string} query - The search query
+ * @param {Array} results - Candidates in retrieval order
+ * @param {Object} options - { topN } candidates to rescore
+ * @returns {Array} Reranked candidates
+ */
+async function rerankResults(query, results, options = {}) {
+  const candidates = results.slice(0, resolveTopN(options.topN));
+  if (candidates.length === 0) return [];
+
+  const reranker = getReranker();
+  const startTime = Date.now();
+  const scores = await reranker.score(
+    query,
+    candidates.map((doc) => createRerankText(doc))
+  );
+
+  const reranked = candidates
+    .map((doc, index) => {
+      const originalScore =
+        doc.score !== undefined ? doc.score : doc.similarity;
+      return {
+        ...doc,
+        originalScore,
+        rerankScore: scores[index],
+        score: scores[index],
+      };
+    })
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+
+  console.log(
+    `🎯 Re-ranked ${candidates.length} candidates with ${reranker.name} in ${
+      Date.now() - startTime
+    }ms`
+  );
+
+  return reranked;
+}
+
+module.exports = {
+  rerankResults,
+  setReranker,
+  getReranker,
+  createCrossEncoderReranker,
+  createStubReranker,
+  resolveTopN,
+  DEFAULT_RERANK_TOP_N,
+};
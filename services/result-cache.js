@@ -0,0 +1,245 @@
+const { getEmbeddingProvider } = require("./embedding-providers");
+
+/**
+ * Semantic cache of retrieved search candidates.
+ *
+ * Call-centre queries repeat in many wordings ("wheat yellow rust", "yellow
+ * rust in wheat"). A search reuses the candidates retrieved for an earlier
+ * query when both ran with the same settings (mode, filters, minScore,
+ * matchOn, location) and their embeddings are within RESULT_CACHE_MAX_DISTANCE
+ * cosine distance, so no `$vectorSearch` runs. Keyword and hybrid searches
+ * also match on the query words, so they only reuse the same query text.
+ *
+ * Any change to the corpus (embeddings saved, CSV rows imported or cleared)
+ * empties the cache. A search that started before the change does not store
+ * its now stale candidates. Embedding jobs change documents continuously, so
+ * while one runs the cache is emptied at most every
+ * RESULT_CACHE_INVALIDATE_SECONDS, and once more when it ends.
+ */
+class ResultCache {
+  constructor(options = {}) {
+    this.enabled =
+      options.enabled !== undefined
+        ? options.enabled
+        : process.env.RESULT_CACHE_ENABLED !== "false";
+    const distance = parseFloat(process.env.RESULT_CACHE_MAX_DISTANCE);
+    this.maxDistance =
+      options.maxDistance !== undefined
+        ? options.maxDistance
+        : Number.isFinite(distance) && distance >= 0 && distance <= 2
+        ? distance
+        : 0.05;
+    this.maxSize =
+      options.maxSize || parseInt(process.env.RESULT_CACHE_SIZE) || 500;
+    this.ttlMs =
+      (options.ttlSeconds ||
+        parseInt(process.env.RESULT_CACHE_TTL_SECONDS) ||
+        10 * 60) * 1000;
+    // Insertion order is least recently used first
+    this.entries = new Set();
+    this.generation = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.invalidations = 0;
+    this.lastInvalidatedAt = null;
+    this.invalidateIntervalMs =
+      (parseInt(process.env.RESULT_CACHE_INVALIDATE_SECONDS) || 30) * 1000;
+    // Reason of a throttled change not yet applied
+    this.pendingInvalidation = null;
+    this.lastThrottledAt = 0;
+  }
+
+  /**
+   * Settings that must match exactly for candidates to be reused
+   */
+  settingsKey(settings) {
+    const { query, mode, ...rest } = settings;
+    return canonicalJson({
+      model: getEmbeddingProvider().name,
+      mode,
+      // Lexical ranking depends on the words, not only the meaning
+      query: mode === "vector" ? null : normalizeQuery(query),
+      ...rest,
+    });
+  }
+
+  /**
+   * Find candidates retrieved for a similar enough query
+   * @param {Object} settings - { query, mode, strategy, filters, minScore,
+   *   matchOn, location }
+   * @param {Array} queryEmbedding - Embedding of the new query
+   * @param {number} depth - Candidates the search needs
+   * @returns {Object} { hit, generation } where hit is null or
+   *   { candidates, embedding, filteredOut, served, query, similarity,
+   *   ageSeconds };
+   *   candidate scores were computed against `embedding`
+   */
+  lookup(settings, queryEmbedding, depth) {
+    const generation = this.generation;
+    if (!this.enabled) return { hit: null, generation };
+
+    const key = this.settingsKey(settings);
+    const vector = normalize(queryEmbedding);
+    const now = Date.now();
+    let best = null;
+    let bestSimilarity = -Infinity;
+
+    for (const entry of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(entry);
+        continue;
+      }
+      if (entry.key !== key || entry.depth < depth) continue;
+      if (entry.vector.length !== vector.length) continue;
+
+      const similarity = dot(entry.vector, vector);
+      if (1 - similarity <= this.maxDistance && similarity > bestSimilarity) {
+        best = entry;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (!best) {
+      this.misses++;
+      return { hit: null, generation };
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(best);
+    this.entries.add(best);
+    this.hits++;
+    return {
+      hit: {
+        candidates: best.candidates.slice(),
+        embedding: best.embedding,
+        filteredOut: best.filteredOut,
+        served: best.served,
+        query: best.query,
+        similarity: parseFloat(bestSimilarity.toFixed(4)),
+        ageSeconds: Math.round((now - best.createdAt) / 1000),
+      },
+      generation,
+    };
+  }
+
+  /**
+   * Remember a search's candidates, unless the corpus changed since
+   * `generation` was read (see lookup)
+   */
+  store(settings, queryEmbedding, depth, result, generation) {
+    if (!this.enabled || generation !== this.generation) return;
+
+    const now = Date.now();
+    this.entries.add({
+      key: this.settingsKey(settings),
+      query: settings.query,
+      embedding: queryEmbedding,
+      vector: normalize(queryEmbedding),
+      depth,
+      candidates: result.candidates.slice(),
+      filteredOut: result.filteredOut,
+      // Strategy that retrieved the candidates (see search-strategies.js)
+      served: result.served,
+      createdAt: now,
+      expiresAt: now + this.ttlMs,
+    });
+
+    while (this.entries.size > this.maxSize) {
+      // Evict the least recently used entry
+      this.entries.delete(this.entries.values().next().value);
+    }
+  }
+
+  /**
+   * Drop every entry; called whenever searchable documents change
+   */
+  invalidate(reason) {
+    this.generation++;
+    this.pendingInvalidation = null;
+    if (this.entries.size === 0) return;
+
+    this.entries.clear();
+    this.invalidations++;
+    this.lastInvalidatedAt = new Date();
+    console.log(`🧹 Result cache cleared (${reason})`);
+  }
+
+  /**
+   * Note a change made by a running job: the cache is emptied at most once
+   * per invalidation interval; flushInvalidation() applies what is left
+   */
+  invalidateThrottled(reason) {
+    this.pendingInvalidation = reason;
+    if (Date.now() - this.lastThrottledAt >= this.invalidateIntervalMs) {
+      this.flushInvalidation();
+    }
+  }
+
+  /**
+   * Apply a pending throttled change, e.g. when a job ends
+   */
+  flushInvalidation() {
+    if (this.pendingInvalidation === null) return;
+    this.lastThrottledAt = Date.now();
+    this.invalidate(this.pendingInvalidation);
+  }
+
+  getStatus() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      maxDistance: this.maxDistance,
+      ttlSeconds: this.ttlMs / 1000,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate:
+        lookups > 0 ? parseFloat((this.hits / lookups).toFixed(4)) : null,
+      invalidations: this.invalidations,
+      lastInvalidatedAt: this.lastInvalidatedAt,
+    };
+  }
+}
+
+function normalizeQuery(query) {
+  return String(query || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * JSON with object keys sorted, so equal settings give equal keys
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm) || 1;
+  return Float32Array.from(vector, (value) => value / norm);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Create singleton instance
+const resultCache = new ResultCache();
+
+module.exports = resultCache;
@@ -0,0 +1,306 @@
+/**
+ * Result diversification for search pages.
+ *
+ * The KCC corpus repeats the same answer many times ("Contact nearest KVK",
+ * daily weather advisories), so a plain top 10 can be one answer ten times.
+ * Two optional steps compare stored vectors: each result's `answerEmbedding`
+ * (the KccAns vector written by the "question-answer" background job), or
+ * its combined `embedding` when not every result has one:
+ *   collapse  fold results whose answers are near-identical into one item
+ *             that counts its duplicates and lists where they came from
+ *   mmr       maximal marginal relevance: pick results one at a time,
+ *             trading relevance against similarity to those already picked
+ */
+
+const Document = require("../models/Document");
+const { cosineSimilarity } = require("./semantic-search");
+const { getEmbeddingProvider } = require("./embedding-providers");
+
+const DEFAULT_MMR_LAMBDA = unitFromEnv(process.env.MMR_LAMBDA, 0.7);
+const DEFAULT_DUPLICATE_THRESHOLD = unitFromEnv(
+  process.env.DUPLICATE_THRESHOLD,
+  0.95
+);
+
+// Candidates retrieved for a diversified search; pages are cut from them
+const DIVERSITY_CANDIDATES = Math.min(
+  parseInt(process.env.DIVERSITY_CANDIDATES) || 100,
+  500
+);
+
+function unitFromEnv(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 && number <= 1
+    ? number
+    : fallback;
+}
+
+class DiversityValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DiversityValidationError";
+    this.statusCode = 400;
+  }
+}
+
+function unitOption(value, name, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  if (typeof value === "boolean" || !Number.isFinite(number)) {
+    throw new DiversityValidationError(`${name} must be a number`);
+  }
+  if (number < 0 || number > 1) {
+    throw new DiversityValidationError(`${name} must be between 0 and 1`);
+  }
+  return number;
+}
+
+/**
+ * Resolve the diversity settings for a search request
+ * @param {Object} request - { mmr, mmrLambda, collapseDuplicates,
+ *   duplicateThreshold }
+ * @returns {Object|null} { mmrLambda, duplicateThreshold } (either may be
+ *   null) or null when neither step is on
+ * @throws {DiversityValidationError} When a value is out of range
+ */
+function parseDiversity(request = {}) {
+  const mmrLambda = request.mmr
+    ? unitOption(request.mmrLambda, "mmrLambda", DEFAULT_MMR_LAMBDA)
+    : null;
+  const duplicateThreshold = request.collapseDuplicates
+    ? unitOption(
+        request.duplicateThreshold,
+        "duplicateThreshold",
+        DEFAULT_DUPLICATE_THRESHOLD
+      )
+    : null;
+
+  if (mmrLambda === null && duplicateThreshold === null) return null;
+  return { mmrLambda, duplicateThreshold };
+}
+
+/**
+ * Answer text used for duplicate detection (case and spacing ignored)
+ */
+function answerKey(result) {
+  return String(result.KccAns || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Load the vectors results are compared with. Nothing is embedded at query
+ * time: answer vectors are used when every result has one from the current
+ * model, otherwise every result uses its combined embedding, so all pairs
+ * are compared in the same space.
+ * @returns {Promise<Object>} { embeddings, source, missing } - one vector
+ *   (or null) per result, "answer" or "combined", and how many results have
+ *   no vector (those only fold with identical answer text)
+ */
+async function loadDiversityEmbeddings(results) {
+  const model = getEmbeddingProvider().name;
+  const documents = await Document.find({
+    _id: { $in: results.map((result) => result._id) },
+  })
+    .select({
+      embedding: 1,
+      embeddingModel: 1,
+      answerEmbedding: 1,
+      questionAnswerModel: 1,
+    })
+    .lean();
+
+  const byId = new Map(
+    documents.map((document) => [document._id.toString(), document])
+  );
+  const vectorsOf = (field, modelField) =>
+    results.map((result) => {
+      const document = byId.get(String(result._id));
+      return document &&
+        document[modelField] === model &&
+        Array.isArray(document[field]) &&
+        document[field].length > 0
+        ? document[field]
+        : null;
+    });
+
+  let source = "answer";
+  let embeddings = vectorsOf("answerEmbedding", "questionAnswerModel");
+  if (embeddings.includes(null)) {
+    source = "combined";
+    embeddings = vectorsOf("embedding", "embeddingModel");
+  }
+
+  return {
+    embeddings,
+    source,
+    missing: embeddings.filter((embedding) => embedding === null).length,
+  };
+}
+
+function answerSimilarity(a, b) {
+  return a && b ? cosineSimilarity(a, b) : 0;
+}
+
+/**
+ * Fold near-duplicate answers into the highest ranked result of each group.
+ * Each kept result gets duplicateCount (rows folded into it), duplicateIds
+ * and locations ({ StateName, DistrictName, count } for every row).
+ * @param {Array} results - Ranked results
+ * @param {Array} embeddings - Answer embeddings, parallel to results
+ * @param {number} threshold - Answer similarity at which rows are duplicates
+ * @returns {Object} { results, embeddings } for the kept results
+ */
+function collapseDuplicates(results, embeddings, threshold) {
+  const groups = [];
+
+  results.forEach((result, index) => {
+    const embedding = embeddings[index];
+    const key = answerKey(result);
+    const group = groups.find(
+      (candidate) =>
+        (key && candidate.key === key) ||
+        answerSimilarity(candidate.embedding, embedding) >= threshold
+    );
+
+    if (group) {
+      group.members.push(result);
+    } else {
+      groups.push({ key, embedding, members: [result] });
+    }
+  });
+
+  return {
+    results: groups.map(({ members }) => {
+      const [kept, ...duplicates] = members;
+      return {
+        ...kept,
+        duplicateCount: duplicates.length,
+        duplicateIds: duplicates.map((duplicate) => duplicate._id),
+        locations: summarizeLocations(members),
+      };
+    }),
+    embeddings: groups.map((group) => group.embedding),
+  };
+}
+
+function summarizeLocations(members) {
+  const locations = new Map();
+  for (const { StateName = null, DistrictName = null } of members) {
+    const key = `${StateName}|${DistrictName}`;
+    const entry = locations.get(key) || { StateName, DistrictName, count: 0 };
+    entry.count++;
+    locations.set(key, entry);
+  }
+  return Array.from(locations.values());
+}
+
+/**
+ * Reorder results by maximal marginal relevance:
+ *   lambda * relevance - (1 - lambda) * max similarity to picked answers
+ * Relevance is the result's score scaled to 0..1 over the list. Results of
+ * a location search keep their level order; MMR runs within each level.
+ * @returns {Array} Results in MMR order, each with an mmrScore
+ */
+function applyMmr(results, embeddings, lambda) {
+  const levels = new Map();
+  results.forEach((result, index) => {
+    const tier = result.locationTier || 0;
+    if (!levels.has(tier)) levels.set(tier, []);
+    levels.get(tier).push(index);
+  });
+
+  const scores = results.map((result) => result.score);
+  const maxScore = Math.max(...scores);
+  const minScore = Math.min(...scores);
+  const relevance = (index) =>
+    maxScore > minScore
+      ? (scores[index] - minScore) / (maxScore - minScore)
+      : 1;
+
+  const ordered = [];
+  for (const tier of [...levels.keys()].sort((a, b) => a - b)) {
+    const pending = levels.get(tier);
+    // Highest similarity of each result to any answer picked so far
+    const redundancy = new Map(pending.map((index) => [index, 0]));
+
+    while (pending.length > 0) {
+      let best = 0;
+      let bestScore = -Infinity;
+
+      pending.forEach((index, position) => {
+        const mmrScore =
+          lambda * relevance(index) - (1 - lambda) * redundancy.get(index);
+        if (mmrScore > bestScore) {
+          best = position;
+          bestScore = mmrScore;
+        }
+      });
+
+      const [picked] = pending.splice(best, 1);
+      ordered.push({ ...results[picked], mmrScore: bestScore });
+
+      for (const index of pending) {
+        const similarity = answerSimilarity(
+          embeddings[index],
+          embeddings[picked]
+        );
+        if (similarity > redundancy.get(index)) {
+          redundancy.set(index, similarity);
+        }
+      }
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * Collapse duplicates and/or apply MMR to a ranked result list
+ * @param {Array} results - Ranked results
+ * @param {Object|null} diversity - Settings from parseDiversity
+ * @returns {Promise<Object>} { results, vectors } - diversified results and
+ *   { source, missing } from loadDiversityEmbeddings (null when nothing ran)
+ */
+async function diversifyResults(results, diversity) {
+  if (!diversity || results.length === 0) return { results, vectors: null };
+
+  const startTime = Date.now();
+  const vectors = await loadDiversityEmbeddings(results);
+  const { source, missing } = vectors;
+  let embeddings = vectors.embeddings;
+  let diversified = results;
+  if (missing > 0) {
+    console.warn(
+      `⚠️ ${missing} of ${results.length} results have no ${source} embedding from the active model; they are only compared by answer text`
+    );
+  }
+
+  if (diversity.duplicateThreshold !== null) {
+    ({ results: diversified, embeddings } = collapseDuplicates(
+      diversified,
+      embeddings,
+      diversity.duplicateThreshold
+    ));
+  }
+  if (diversity.mmrLambda !== null) {
+    diversified = applyMmr(diversified, embeddings, diversity.mmrLambda);
+  }
+
+  console.log(
+    `🧩 Diversified ${results.length} results into ${diversified.length} in ${
+      Date.now() - startTime
+    }ms using ${source} embeddings`
+  );
+  return { results: diversified, vectors: { source, missing } };
+}
+
+module.exports = {
+  parseDiversity,
+  diversifyResults,
+  collapseDuplicates,
+  applyMmr,
+  DiversityValidationError,
+  DIVERSITY_CANDIDATES,
+};
@@ -0,0 +1,781 @@
+/**
+ * Offline retrieval evaluation.
+ *
+ * A golden set lists queries with the documents that should be found for
+ * each, by id or by matching criteria. Every run (a search strategy plus its
+ * options) answers every query, and the ranked ids are scored with
+ * recall@k, MRR and nDCG@k. Reports are written as JSON and HTML, and a
+ * previous JSON report can serve as the baseline a change must not regress.
+ *
+ * Golden set:
+ *   {
+ *     "name": "kcc-core",
+ *     "k": [1, 5, 10],
+ *     "queries": [
+ *       {
+ *         "id": "wheat-rust",
+ *         "query": "yellow rust in wheat",
+ *         "filters": { "StateName": "PUNJAB" },
+ *         "relevant": ["65a1...", { "id": "65a2...", "grade": 2 }],
+ *         "match": [{ "filter": { "Crop": "Wheat" }, "contains": "rust" }]
+ *       }
+ *     ]
+ *   }
+ *
+ * `match` criteria use the search filter language (see search-filters.js);
+ * `contains` also requires the text in QueryText or KccAns. Grades default
+ * to 1; nDCG uses 2^grade - 1 as the gain.
+ *
+ * A run's strategy is one of the search functions, the /api/search
+ * pipeline, or a search strategy from search-strategies.js ("auto",
+ * "aggregation", "ann", ...); the report counts which strategy served each
+ * query, since Atlas falls back to the ANN index or a scan offline.
+ *
+ * Run offline against a local MongoDB with the hash embedding provider:
+ *   MONGODB_URI=mongodb://127.0.0.1:27017/kishancall-eval \
+ *     npm run eval -- --seed eval/seed-documents.json \
+ *     --golden eval/golden-set.json
+ */
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const Document = require("../models/Document");
+const Passage = require("../models/Passage");
+const semanticSearchModule = require("./semantic-search");
+const { runSearch } = require("./search-pipeline");
+const {
+  parseFilters,
+  compileMongoFilter,
+  escapeRegExp,
+} = require("./search-filters");
+const { getEmbeddingProvider } = require("./embedding-providers");
+const {
+  listSearchStrategies,
+  searchWithStrategy,
+  detectSearchStrategy,
+} = require("./search-strategies");
+const annIndex = require("./ann-index");
+const bulkEmbedder = require("./bulk-embedder");
+
+const DEFAULT_K = [1, 5, 10];
+const DEFAULT_TOLERANCE = 0.01;
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, "..", "eval", "reports");
+
+// Search implementations a run can name. Each records the strategy that
+// served it in options.trace.strategy (see search-strategies.js).
+const EVAL_STRATEGIES = {
+  semanticSearch: (query, topK, filters, options) =>
+    semanticSearchModule.semanticSearch(query, topK, filters, options),
+  fastSemanticSearch: (query, topK, filters, options) =>
+    semanticSearchModule.fastSemanticSearch(query, topK, filters, options),
+  semanticSearchFallback: (query, topK, filters, options) =>
+    semanticSearchModule.semanticSearchFallback(query, topK, filters, options),
+  // The full /api/search pipeline; options are its request fields
+  pipeline: async (query, topK, filters, { trace, ...options }) => {
+    const page = await runSearch({
+      ...options,
+      query,
+      topK,
+      filters,
+      cache: false,
+    });
+    trace.strategy = page.strategy;
+    return page.results;
+  },
+};
+
+// Every registered search strategy, and "auto"
+for (const name of ["auto", ...listSearchStrategies().map((s) => s.name)]) {
+  EVAL_STRATEGIES[name] = async (
+    query,
+    topK,
+    filters,
+    { trace, ...options }
+  ) => {
+    const served = await searchWithStrategy(
+      name,
+      query,
+      topK,
+      filters,
+      options
+    );
+    trace.strategy = served.strategy;
+    return served.results;
+  };
+}
+
+// Compared by default: the three search implementations as they are
+const DEFAULT_RUNS = [
+  { name: "semanticSearch", strategy: "semanticSearch" },
+  { name: "fastSemanticSearch", strategy: "fastSemanticSearch" },
+  { name: "semanticSearchFallback", strategy: "semanticSearchFallback" },
+];
+
+class EvalConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EvalConfigError";
+    this.statusCode = 400;
+  }
+}
+
+function readJson(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new EvalConfigError(`Cannot read ${what} ${file}: ${error.message}`);
+  }
+}
+
+function parseK(k) {
+  const values = k === undefined ? DEFAULT_K : Array.isArray(k) ? k : [k];
+  if (
+    values.length === 0 ||
+    !values.every((value) => Number.isInteger(value) && value > 0)
+  ) {
+    throw new EvalConfigError("k must be a list of positive whole numbers");
+  }
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/**
+ * Validate a golden set
+ * @returns {Object} { name, k, queries }
+ * @throws {EvalConfigError} When a query or criterion is malformed
+ */
+function parseGoldenSet(goldenSet) {
+  if (!goldenSet || !Array.isArray(goldenSet.queries)) {
+    throw new EvalConfigError("A golden set needs a queries list");
+  }
+
+  const ids = new Set();
+  const queries = goldenSet.queries.map((entry, index) => {
+    const label = `queries[${index}]`;
+    if (!entry || typeof entry.query !== "string" || !entry.query.trim()) {
+      throw new EvalConfigError(`${label} needs a query`);
+    }
+    const id = String(entry.id || index + 1);
+    if (ids.has(id)) throw new EvalConfigError(`Duplicate query id ${id}`);
+    ids.add(id);
+
+    const filters = entry.filters || {};
+    parseFilters(filters);
+
+    const relevant = (entry.relevant || []).map((item) => {
+      const doc = typeof item === "string" ? { id: item } : item;
+      if (!doc || !mongoose.Types.ObjectId.isValid(doc.id)) {
+        throw new EvalConfigError(`${label}.relevant has an invalid id`);
+      }
+      return { id: String(doc.id), grade: parseGrade(doc.grade, label) };
+    });
+
+    const match = (entry.match || []).map((criterion) => {
+      if (!criterion || typeof criterion !== "object") {
+        throw new EvalConfigError(`${label}.match entries must be objects`);
+      }
+      const filter = criterion.filter || {};
+      parseFilters(filter);
+      if (
+        criterion.contains !== undefined &&
+        typeof criterion.contains !== "string"
+      ) {
+        throw new EvalConfigError(`${label}.match contains must be text`);
+      }
+      if (!Object.keys(filter).length && !criterion.contains) {
+        throw new EvalConfigError(
+          `${label}.match needs a filter or contains text`
+        );
+      }
+      return {
+        filter,
+        contains: criterion.contains || null,
+        grade: parseGrade(criterion.grade, label),
+      };
+    });
+
+    if (relevant.length === 0 && match.length === 0) {
+      throw new EvalConfigError(
+        `${label} needs relevant ids or match criteria`
+      );
+    }
+    return { id, query: entry.query.trim(), filters, relevant, match };
+  });
+
+  return {
+    name: goldenSet.name || "golden-set",
+    k: parseK(goldenSet.k),
+    queries,
+  };
+}
+
+function parseGrade(grade, label) {
+  if (grade === undefined) return 1;
+  if (!Number.isInteger(grade) || grade < 1) {
+    throw new EvalConfigError(`${label} grades must be whole numbers >= 1`);
+  }
+  return grade;
+}
+
+/**
+ * Validate runs: [{ name, strategy, options }]
+ */
+function parseRuns(runs = DEFAULT_RUNS) {
+  if (!Array.isArray(runs) || runs.length === 0) {
+    throw new EvalConfigError("runs must be a non-empty list");
+  }
+  const names = new Set();
+  return runs.map((run, index) => {
+    const strategy = run && run.strategy;
+    if (!EVAL_STRATEGIES[strategy]) {
+      throw new EvalConfigError(
+        `runs[${index}] has unknown strategy "${strategy}". Available: ${Object.keys(
+          EVAL_STRATEGIES
+        ).join(", ")}`
+      );
+    }
+    const name = run.name || strategy;
+    if (names.has(name)) throw new EvalConfigError(`Duplicate run ${name}`);
+    names.add(name);
+    return { name, strategy, options: run.options || {} };
+  });
+}
+
+/**
+ * Resolve a query's relevance judgements to document ids
+ * @returns {Promise<Map>} id -> grade (the highest grade when several apply)
+ */
+async function resolveRelevance(entry) {
+  const grades = new Map();
+  const grade = (id, value) =>
+    grades.set(String(id), Math.max(grades.get(String(id)) || 0, value));
+
+  for (const doc of entry.relevant) grade(doc.id, doc.grade);
+
+  for (const criterion of entry.match) {
+    const conditions = [compileMongoFilter(criterion.filter)];
+    if (criterion.contains) {
+      const pattern = new RegExp(escapeRegExp(criterion.contains), "i");
+      conditions.push({
+        $or: [{ QueryText: pattern }, { KccAns: pattern }],
+      });
+    }
+    const matches = await Document.find({ $and: conditions }, { _id: 1 })
+      .lean()
+      .limit(10000);
+    for (const doc of matches) grade(doc._id, criterion.grade);
+  }
+
+  return grades;
+}
+
+/**
+ * Metrics for one ranked list
+ * @param {string[]} ranked - Retrieved ids, best first
+ * @param {Map} grades - Relevant id -> grade
+ * @param {number[]} kValues - Cut-offs
+ * @returns {Object} { "recall@k", "ndcg@k", mrr, firstRelevantRank }
+ */
+function scoreRanking(ranked, grades, kValues) {
+  const metrics = {};
+  const relevantCount = grades.size;
+  const firstRelevant = ranked.findIndex((id) => grades.has(id));
+  const idealGains = [...grades.values()]
+    .map((grade) => 2 ** grade - 1)
+    .sort((a, b) => b - a);
+
+  for (const k of kValues) {
+    const top = ranked.slice(0, k);
+    const found = top.filter((id) => grades.has(id)).length;
+    metrics[`recall@${k}`] = relevantCount ? found / relevantCount : 0;
+
+    const dcg = top.reduce(
+      (sum, id, index) =>
+        sum + (2 ** (grades.get(id) || 0) - 1) / Math.log2(index + 2),
+      0
+    );
+    const idcg = idealGains
+      .slice(0, k)
+      .reduce((sum, gain, index) => sum + gain / Math.log2(index + 2), 0);
+    metrics[`ndcg@${k}`] = idcg > 0 ? dcg / idcg : 0;
+  }
+
+  metrics.mrr = firstRelevant === -1 ? 0 : 1 / (firstRelevant + 1);
+  metrics.firstRelevantRank = firstRelevant === -1 ? null : firstRelevant + 1;
+  return metrics;
+}
+
+function metricNames(kValues) {
+  return [
+    ...kValues.map((k) => `recall@${k}`),
+    "mrr",
+    ...kValues.map((k) => `ndcg@${k}`),
+  ];
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Run every query through every run and score the rankings
+ * @param {Object} goldenSet - Parsed golden set (see parseGoldenSet)
+ * @param {Array} runs - Parsed runs (see parseRuns)
+ * @returns {Promise<Object>} Report: { name, generatedAt, provider,
+ *   documents, k, metrics, queries, skipped, runs: [{ name, strategy,
+ *   options, metrics, meanLatencyMs, errors, perQuery }] }
+ */
+async function runEvaluation(goldenSet, runs) {
+  const kValues = goldenSet.k;
+  const depth = kValues[kValues.length - 1];
+  const names = metricNames(kValues);
+
+  const judged = [];
+  const skipped = [];
+  for (const entry of goldenSet.queries) {
+    const grades = await resolveRelevance(entry);
+    if (grades.size === 0) {
+      console.warn(`⚠️ No relevant documents found for query ${entry.id}`);
+      skipped.push(entry.id);
+    } else {
+      judged.push({ ...entry, grades });
+    }
+  }
+
+  const report = {
+    name: goldenSet.name,
+    generatedAt: new Date(),
+    provider: getEmbeddingProvider().name,
+    documents: await Document.countDocuments(),
+    k: kValues,
+    metrics: names,
+    queries: judged.length,
+    skipped,
+    runs: [],
+  };
+
+  for (const run of runs) {
+    console.log(`🧪 Evaluating ${run.name} (${run.strategy})`);
+    const search = EVAL_STRATEGIES[run.strategy];
+    const totals = Object.fromEntries(names.map((name) => [name, 0]));
+    const perQuery = [];
+    const servedBy = {};
+    let latency = 0;
+    let errors = 0;
+
+    for (const entry of judged) {
+      const startTime = Date.now();
+      let ranked = [];
+      let error = null;
+      const trace = {};
+      try {
+        const results = await search(entry.query, depth, entry.filters, {
+          ...run.options,
+          trace,
+        });
+        ranked = results.slice(0, depth).map((result) => String(result._id));
+      } catch (searchError) {
+        errors++;
+        error = searchError.message;
+        console.error(`❌ ${run.name} failed on ${entry.id}:`, error);
+      }
+      const latencyMs = Date.now() - startTime;
+      latency += latencyMs;
+      const strategy = trace.strategy || null;
+      if (strategy) servedBy[strategy] = (servedBy[strategy] || 0) + 1;
+
+      const metrics = scoreRanking(ranked, entry.grades, kValues);
+      for (const name of names) totals[name] += metrics[name];
+      perQuery.push({
+        id: entry.id,
+        query: entry.query,
+        relevant: entry.grades.size,
+        retrieved: ranked,
+        strategy,
+        latencyMs,
+        error,
+        ...Object.fromEntries(
+          Object.entries(metrics).map(([name, value]) => [
+            name,
+            typeof value === "number" && name !== "firstRelevantRank"
+              ? round(value)
+              : value,
+          ])
+        ),
+      });
+    }
+
+    report.runs.push({
+      name: run.name,
+      strategy: run.strategy,
+      options: run.options,
+      metrics: Object.fromEntries(
+        names.map((name) => [
+          name,
+          judged.length ? round(totals[name] / judged.length) : null,
+        ])
+      ),
+      meanLatencyMs: judged.length ? Math.round(latency / judged.length) : null,
+      errors,
+      servedBy,
+      perQuery,
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Metrics that dropped by more than `tolerance` against a baseline report,
+ * for runs present in both
+ * @returns {Array} [{ run, metric, baseline, current, delta }]
+ */
+function compareToBaseline(report, baseline, tolerance = DEFAULT_TOLERANCE) {
+  const regressions = [];
+  for (const run of report.runs) {
+    const previous = (baseline.runs || []).find(
+      (candidate) => candidate.name === run.name
+    );
+    if (!previous) continue;
+
+    for (const metric of report.metrics) {
+      const before = previous.metrics[metric];
+      const after = run.metrics[metric];
+      if (typeof before !== "number" || typeof after !== "number") continue;
+      if (after < before - tolerance) {
+        regressions.push({
+          run: run.name,
+          metric,
+          baseline: before,
+          current: after,
+          delta: round(after - before),
+        });
+      }
+    }
+  }
+  return regressions;
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Render a report as a standalone HTML page: a metrics table (best value
+ * per column in bold) and the first relevant rank of every query per run
+ */
+function renderHtmlReport(report, regressions = []) {
+  const best = Object.fromEntries(
+    report.metrics.map((metric) => [
+      metric,
+      Math.max(...report.runs.map((run) => run.metrics[metric] ?? -Infinity)),
+    ])
+  );
+
+  const summaryRows = report.runs
+    .map(
+      (run) => `
+        <tr>
+          <th scope="row">${escapeHtml(run.name)}</th>
+          <td><code>${escapeHtml(run.strategy)}</code> ${escapeHtml(
+        Object.keys(run.options).length ? JSON.stringify(run.options) : ""
+      )}</td>
+          ${report.metrics
+            .map((metric) => {
+              const value = run.metrics[metric];
+              const cell = value === null ? "-" : value.toFixed(4);
+              return value !== null && value === best[metric]
+                ? `<td><strong>${cell}</strong></td>`
+                : `<td>${cell}</td>`;
+            })
+            .join("")}
+          <td>${run.meanLatencyMs ?? "-"}</td>
+          <td>${run.errors}</td>
+          <td>${escapeHtml(
+            Object.entries(run.servedBy || {})
+              .map(([strategy, count]) => `${strategy} ×${count}`)
+              .join(", ")
+          )}</td>
+        </tr>`
+    )
+    .join("");
+
+  const queryRows = (report.runs[0] ? report.runs[0].perQuery : [])
+    .map(
+      (entry, index) => `
+        <tr>
+          <th scope="row">${escapeHtml(entry.id)}</th>
+          <td>${escapeHtml(entry.query)}</td>
+          <td>${entry.relevant}</td>
+          ${report.runs
+            .map((run) => {
+              const result = run.perQuery[index];
+              return result.error
+                ? `<td class="miss" title="${escapeHtml(
+                    result.error
+                  )}">error</td>`
+                : `<td class="${result.firstRelevantRank ? "hit" : "miss"}">${
+                    result.firstRelevantRank ?? "-"
+                  }</td>`;
+            })
+            .join("")}
+        </tr>`
+    )
+    .join("");
+
+  const regressionList = regressions.length
+    ? `<h2>Regressions against baseline</h2>
+    <ul class="regressions">${regressions
+      .map(
+        (regression) =>
+          `<li>${escapeHtml(regression.run)} ${escapeHtml(
+            regression.metric
+          )}: ${regression.baseline} → ${regression.current} (${
+            regression.delta
+          })</li>`
+      )
+      .join("")}</ul>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Retrieval evaluation: ${escapeHtml(report.name)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1b4332; }
+    table { border-collapse: collapse; margin-bottom: 2rem; }
+    th, td { border: 1px solid #ccc; padding: 0.35rem 0.6rem; text-align: left; }
+    thead th { background: #d8f3dc; }
+    td.hit { background: #e9f7ef; }
+    td.miss { background: #fdecea; }
+    .regressions { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>Retrieval evaluation: ${escapeHtml(report.name)}</h1>
+  <p>
+    ${report.queries} queries (${report.skipped.length} skipped without
+    relevant documents) against ${report.documents} documents, embedded with
+    <code>${escapeHtml(report.provider)}</code>.
+    Generated ${escapeHtml(new Date(report.generatedAt).toISOString())}.
+  </p>
+  ${regressionList}
+  <h2>Metrics</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Run</th><th>Strategy</th>
+        ${report.metrics
+          .map((metric) => `<th>${escapeHtml(metric)}</th>`)
+          .join("")}
+        <th>Mean latency (ms)</th><th>Errors</th><th>Served by</th>
+      </tr>
+    </thead>
+    <tbody>${summaryRows}
+    </tbody>
+  </table>
+  <h2>First relevant rank per query</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Id</th><th>Query</th><th>Relevant</th>
+        ${report.runs.map((run) => `<th>${escapeHtml(run.name)}</th>`).join("")}
+      </tr>
+    </thead>
+    <tbody>${queryRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Replace the documents collection with a seed file (a JSON array of
+ * documents) and embed them with the active provider. Only allowed against
+ * a local database unless forced, since it deletes every document.
+ */
+async function seedDatabase(file, { force = false } = {}) {
+  const uri = process.env.MONGODB_URI || "";
+  if (!force && !/^mongodb:\/\/(localhost|127\.0\.0\.1)[:/]/.test(uri)) {
+    throw new EvalConfigError(
+      "Seeding deletes every document; point MONGODB_URI at a local database or pass --force"
+    );
+  }
+
+  const documents = readJson(file, "seed file");
+  if (!Array.isArray(documents)) {
+    throw new EvalConfigError("A seed file must be a JSON array of documents");
+  }
+
+  await Document.deleteMany({});
+  await Passage.deleteMany({});
+  await Document.insertMany(
+    documents.map((doc) => {
+      const createdOn = doc.CreatedOn ? new Date(doc.CreatedOn) : new Date();
+      return {
+        ...doc,
+        embedding: [],
+        embeddingModel: null,
+        CreatedOn: createdOn,
+        year: createdOn.getFullYear(),
+        month: createdOn.getMonth() + 1,
+      };
+    })
+  );
+  console.log(`🌱 Seeded ${documents.length} documents from ${file}`);
+
+  await semanticSearchModule.generateEmbeddingsForAllDocuments();
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      throw new EvalConfigError(`Unexpected argument ${arg}`);
+    }
+    const key = arg.slice(2);
+    if (key === "force") {
+      args.force = true;
+    } else if (i + 1 < argv.length) {
+      args[key] = argv[++i];
+    } else {
+      throw new EvalConfigError(`${arg} needs a value`);
+    }
+  }
+  return args;
+}
+
+const USAGE = `Usage: npm run eval -- --golden <file> [options]
+
+  --golden <file>     Golden set (JSON)
+  --runs <file>       Runs to compare (JSON list of { name, strategy, options });
+                      strategy is semanticSearch, fastSemanticSearch,
+                      semanticSearchFallback, pipeline, auto or a registered
+                      search strategy; default: the first three
+  --k <list>          Cut-offs, e.g. 1,5,10 (default: the golden set's k)
+  --seed <file>       Replace the documents with this JSON array and embed them
+  --force             Allow --seed against a non-local database
+  --provider <type>   Embedding provider (default: EMBEDDING_PROVIDER, else hash)
+  --out <dir>         Report directory (default: eval/reports)
+  --baseline <file>   Earlier report.json; exit 1 when a metric drops
+  --tolerance <n>     Allowed drop against the baseline (default: ${DEFAULT_TOLERANCE})`;
+
+/**
+ * Command line entry point (see USAGE)
+ */
+async function main(argv = process.argv.slice(2)) {
+  let exitCode = 0;
+  try {
+    const args = parseArgs(argv);
+    if (!args.golden) {
+      console.log(USAGE);
+      return 1;
+    }
+
+    // Offline by default: the hash provider needs no model download
+    process.env.EMBEDDING_PROVIDER =
+      args.provider || process.env.EMBEDDING_PROVIDER || "hash";
+
+    const goldenSet = parseGoldenSet(readJson(args.golden, "golden set"));
+    if (args.k) {
+      goldenSet.k = parseK(args.k.split(",").map(Number));
+    }
+    const runs = parseRuns(
+      args.runs ? readJson(args.runs, "runs file") : undefined
+    );
+
+    await semanticSearchModule.connectToMongoDB();
+    await semanticSearchModule.initializeEmbeddingPipeline();
+    if (args.seed) {
+      await seedDatabase(args.seed, { force: args.force });
+    }
+
+    // Same setup as the server: ANN index built, "auto" detected. The index
+    // file goes next to the report, not over the server's saved index.
+    const outputDir = path.resolve(args.out || DEFAULT_OUTPUT_DIR);
+    fs.mkdirSync(outputDir, { recursive: true });
+    if (annIndex.isEnabled()) {
+      annIndex.indexPath = path.join(outputDir, "ann-index.bin");
+      await annIndex.build();
+    }
+    await detectSearchStrategy();
+
+    const report = await runEvaluation(goldenSet, runs);
+    const baseline = args.baseline
+      ? readJson(args.baseline, "baseline report")
+      : null;
+    const regressions = baseline
+      ? compareToBaseline(
+          report,
+          baseline,
+          args.tolerance !== undefined
+            ? parseFloat(args.tolerance)
+            : DEFAULT_TOLERANCE
+        )
+      : [];
+    report.regressions = regressions;
+
+    fs.writeFileSync(
+      path.join(outputDir, "report.json"),
+      JSON.stringify(report, null, 2)
+    );
+    fs.writeFileSync(
+      path.join(outputDir, "report.html"),
+      renderHtmlReport(report, regressions)
+    );
+
+    console.table(
+      Object.fromEntries(
+        report.runs.map((run) => [
+          run.name,
+          { ...run.metrics, latencyMs: run.meanLatencyMs, errors: run.errors },
+        ])
+      )
+    );
+    console.log(`📄 Report written to ${outputDir}`);
+
+    if (regressions.length > 0) {
+      for (const regression of regressions) {
+        console.error(
+          `📉 ${regression.run} ${regression.metric}: ${regression.baseline} → ${regression.current}`
+        );
+      }
+      exitCode = 1;
+    }
+  } catch (error) {
+    console.error("❌ Evaluation failed:", error.message);
+    exitCode = 1;
+  } finally {
+    bulkEmbedder.terminate();
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+  }
+  return exitCode;
+}
+
+module.exports = {
+  parseGoldenSet,
+  parseRuns,
+  resolveRelevance,
+  scoreRanking,
+  runEvaluation,
+  compareToBaseline,
+  renderHtmlReport,
+  seedDatabase,
+  EvalConfigError,
+  EVAL_STRATEGIES,
+  main,
+};
+
+// Run main function if this file is executed directly
+if (require.main === module) {
+  main().then((exitCode) => process.exit(exitCode));
+}
@@ -0,0 +1,270 @@
+/**
+ * Search analytics: every /api/search call is stored as a SearchEvent, and
+ * the reports below read them back over a date range. Top and zero-result
+ * queries show what agents ask and where the knowledge base has no answer.
+ *
+ * Query reports count first pages only (a cursor page repeats its query);
+ * latency covers every call, each stage over the calls that ran it.
+ */
+
+const mongoose = require("mongoose");
+const SearchEvent = require("../models/SearchEvent");
+
+const ANALYTICS_ENABLED = process.env.SEARCH_ANALYTICS_ENABLED !== "false";
+const DEFAULT_RANGE_DAYS = 7;
+const DEFAULT_REPORT_LIMIT = 20;
+const MAX_REPORT_LIMIT = 100;
+const LATENCY_METRICS = ["total", "embedding", "search"];
+const PERCENTILES = [50, 90, 95, 99];
+
+class AnalyticsValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AnalyticsValidationError";
+    this.statusCode = 400;
+  }
+}
+
+function normalizeQuery(query) {
+  return String(query || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * State a search was restricted to: a plain StateName filter, or else the
+ * caller's location
+ */
+function searchedState(filters, location) {
+  if (filters && typeof filters.StateName === "string") {
+    return filters.StateName;
+  }
+  return (location && location.StateName) || null;
+}
+
+/**
+ * Store one search. Never throws and is not awaited by the route: a failed
+ * write must not fail the search.
+ * @param {Object} page - runSearch() result
+ * @param {Object} request - { searchTime, nextPage }
+ */
+function recordSearchEvent(page, request) {
+  if (!ANALYTICS_ENABLED || mongoose.connection.readyState !== 1) {
+    return Promise.resolve(null);
+  }
+
+  const results = page.results || [];
+  const top = results[0];
+  const topScore = top
+    ? top.similarity !== undefined && top.similarity !== null
+      ? top.similarity
+      : top.score
+    : null;
+
+  return SearchEvent.create({
+    query: page.query,
+    normalizedQuery: normalizeQuery(page.query),
+    filters: page.filters || {},
+    state: searchedState(page.filters, page.location),
+    mode: page.mode,
+    nextPage: Boolean(request.nextPage),
+    topK: page.topK,
+    latency: { ...page.timings, total: request.searchTime },
+    resultIds: results
+      .map((result) => result._id)
+      .filter((id) => mongoose.Types.ObjectId.isValid(id)),
+    resultsCount: results.length,
+    topScore: typeof topScore === "number" ? topScore : null,
+    zeroResults: results.length === 0,
+    confidenceBand: page.confidence ? page.confidence.band : null,
+    fromCache: Boolean(page.resultCache),
+  }).catch((error) => {
+    console.warn("⚠️ Failed to record search event:", error.message);
+    return null;
+  });
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AnalyticsValidationError(`${name} must be a date`);
+  }
+  return date;
+}
+
+/**
+ * Resolve report options from a query string
+ * @param {Object} query - { from, to, limit }; defaults to the last 7 days
+ * @returns {Object} { from, to, limit }
+ * @throws {AnalyticsValidationError} On a bad date, range or limit
+ */
+function parseReportOptions(query = {}) {
+  const to = query.to ? parseDate(query.to, "to") : new Date();
+  const from = query.from
+    ? parseDate(query.from, "from")
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  if (from > to) {
+    throw new AnalyticsValidationError("from must not be after to");
+  }
+
+  let limit = DEFAULT_REPORT_LIMIT;
+  if (query.limit !== undefined && query.limit !== "") {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_REPORT_LIMIT) {
+      throw new AnalyticsValidationError(
+        `limit must be a whole number between 1 and ${MAX_REPORT_LIMIT}`
+      );
+    }
+  }
+
+  return { from, to, limit };
+}
+
+function rangeMatch({ from, to }) {
+  return { createdAt: { $gte: from, $lte: to } };
+}
+
+/**
+ * Group first-page searches by normalized query, most frequent first
+ */
+async function groupQueries(match, limit) {
+  return SearchEvent.aggregate([
+    { $match: { ...match, nextPage: false } },
+    {
+      $group: {
+        _id: "$normalizedQuery",
+        searches: { $sum: 1 },
+        zeroResults: { $sum: { $cond: ["$zeroResults", 1, 0] } },
+        avgTopScore: { $avg: "$topScore" },
+        states: { $addToSet: "$state" },
+        lastSearchedAt: { $max: "$createdAt" },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        query: "$_id",
+        searches: 1,
+        zeroResults: 1,
+        avgTopScore: 1,
+        states: {
+          $filter: { input: "$states", cond: { $ne: ["$$this", null] } },
+        },
+        lastSearchedAt: 1,
+      },
+    },
+  ]);
+}
+
+/**
+ * Most searched queries in the range
+ * @returns {Promise<Array>} [{ query, searches, zeroResults, avgTopScore,
+ *   states, lastSearchedAt }]
+ */
+async function topQueries(options) {
+  return groupQueries(rangeMatch(options), options.limit);
+}
+
+/**
+ * Queries that returned nothing, most frequent first: the knowledge gaps
+ */
+async function zeroResultQueries(options) {
+  return groupQueries(
+    { ...rangeMatch(options), zeroResults: true },
+    options.limit
+  );
+}
+
+/**
+ * Latency percentiles (ms) for the total time and the embedding and search
+ * stages, in one aggregation. A stage only counts searches that ran it:
+ * cursor pages reuse their embedding and cache hits skip the search.
+ * @returns {Promise<Object>} { searches, total: { count, p50, p90, p95,
+ *   p99, avg }, embedding: {...}, search: {...} }
+ */
+async function latencyPercentiles(options) {
+  const group = { _id: null, searches: { $sum: 1 } };
+  for (const metric of LATENCY_METRICS) {
+    const field = `$latency.${metric}`;
+    group[`${metric}Count`] = { $sum: { $cond: [{ $isNumber: field }, 1, 0] } };
+    // $percentile and $avg skip documents without the field
+    group[`${metric}Percentiles`] = {
+      $percentile: {
+        input: field,
+        p: PERCENTILES.map((percentile) => percentile / 100),
+        method: "approximate",
+      },
+    };
+    group[`${metric}Avg`] = { $avg: field };
+  }
+
+  const [summary] = await SearchEvent.aggregate([
+    { $match: rangeMatch(options) },
+    { $group: group },
+  ]);
+  const report = { searches: summary ? summary.searches : 0 };
+
+  for (const metric of LATENCY_METRICS) {
+    const count = summary ? summary[`${metric}Count`] : 0;
+    const roundOrNull = (value) =>
+      count > 0 && typeof value === "number" ? Math.round(value) : null;
+
+    report[metric] = { count };
+    PERCENTILES.forEach((percentile, index) => {
+      report[metric][`p${percentile}`] = roundOrNull(
+        summary && summary[`${metric}Percentiles`][index]
+      );
+    });
+    report[metric].avg = roundOrNull(summary && summary[`${metric}Avg`]);
+  }
+
+  return report;
+}
+
+/**
+ * First-page searches per state, busiest first. Searches not restricted to
+ * a state are grouped under `state: null`.
+ * @returns {Promise<Array>} [{ state, searches, zeroResults,
+ *   zeroResultRate, avgLatency }]
+ */
+async function stateVolumes(options) {
+  return SearchEvent.aggregate([
+    { $match: { ...rangeMatch(options), nextPage: false } },
+    {
+      $group: {
+        _id: "$state",
+        searches: { $sum: 1 },
+        zeroResults: { $sum: { $cond: ["$zeroResults", 1, 0] } },
+        avgLatency: { $avg: "$latency.total" },
+      },
+    },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: options.limit },
+    {
+      $project: {
+        _id: 0,
+        state: "$_id",
+        searches: 1,
+        zeroResults: 1,
+        zeroResultRate: {
+          $round: [{ $divide: ["$zeroResults", "$searches"] }, 4],
+        },
+        avgLatency: { $round: ["$avgLatency", 0] },
+      },
+    },
+  ]);
+}
+
+module.exports = {
+  recordSearchEvent,
+  parseReportOptions,
+  topQueries,
+  zeroResultQueries,
+  latencyPercentiles,
+  stateVolumes,
+  AnalyticsValidationError,
+  ANALYTICS_ENABLED,
+};
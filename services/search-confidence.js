@@ -0,0 +1,117 @@
+/**
+ * Minimum-similarity threshold and confidence bands for search responses.
+ *
+ * Both compare the cosine similarity between the query and each document,
+ * whichever mode ranked the results, so one threshold means the same thing
+ * for vector, keyword and hybrid search.
+ */
+
+function scoreFromEnv(value, fallback) {
+  const score = parseFloat(value);
+  return Number.isFinite(score) ? score : fallback;
+}
+
+// Results below this similarity are dropped unless a request sets minScore.
+// 0 only drops results unrelated to the query; a higher default is opt-in
+const DEFAULT_MIN_SCORE = scoreFromEnv(process.env.SEARCH_MIN_SCORE, 0);
+const HIGH_CONFIDENCE_SCORE = scoreFromEnv(
+  process.env.SEARCH_CONFIDENCE_HIGH,
+  0.7
+);
+const MEDIUM_CONFIDENCE_SCORE = scoreFromEnv(
+  process.env.SEARCH_CONFIDENCE_MEDIUM,
+  0.5
+);
+
+// Number of leading results whose mean backs up a "high" band
+const CONFIDENCE_SUPPORT_SIZE = 3;
+
+const NO_CONFIDENT_ANSWER_MESSAGE =
+  "No result is similar enough to the query to be a confident answer. Consider escalating this query.";
+
+/**
+ * Whether a minScore value from a request is usable (cosine range -1..1)
+ */
+function isValidMinScore(value) {
+  if (typeof value !== "number" && typeof value !== "string") return false;
+  const score = Number(value);
+  return (
+    value.toString().trim() !== "" &&
+    Number.isFinite(score) &&
+    score >= -1 &&
+    score <= 1
+  );
+}
+
+/**
+ * The request's minScore, or the server default when it is not set
+ */
+function resolveMinScore(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_MIN_SCORE;
+  }
+  return isValidMinScore(value) ? Number(value) : DEFAULT_MIN_SCORE;
+}
+
+/**
+ * Drop results whose similarity is below minScore. Results without a
+ * similarity (no embedding from the active model) cannot be judged and are
+ * kept.
+ * @returns {Object} { results, filteredOut }
+ */
+function applyMinScore(results, minScore) {
+  const passed = results.filter(
+    (result) =>
+      typeof result.similarity !== "number" || result.similarity >= minScore
+  );
+  return { results: passed, filteredOut: results.length - passed.length };
+}
+
+/**
+ * Confidence band for a result list:
+ *   high    best match >= SEARCH_CONFIDENCE_HIGH and the leading matches
+ *           average at least SEARCH_CONFIDENCE_MEDIUM
+ *   medium  best match >= SEARCH_CONFIDENCE_MEDIUM
+ *   low     something passed minScore, but only weakly
+ *   none    nothing passed minScore
+ * @returns {Object} { band, topScore, meanTopScore, minScore }
+ */
+function assessConfidence(results, minScore) {
+  const scores = results
+    .map((result) => result.similarity)
+    .filter((score) => typeof score === "number")
+    .sort((a, b) => b - a);
+
+  if (results.length === 0) {
+    return { band: "none", topScore: null, meanTopScore: null, minScore };
+  }
+  if (scores.length === 0) {
+    return { band: "low", topScore: null, meanTopScore: null, minScore };
+  }
+
+  const leading = scores.slice(0, CONFIDENCE_SUPPORT_SIZE);
+  const topScore = leading[0];
+  const meanTopScore =
+    leading.reduce((sum, score) => sum + score, 0) / leading.length;
+
+  let band = "low";
+  if (
+    topScore >= HIGH_CONFIDENCE_SCORE &&
+    meanTopScore >= MEDIUM_CONFIDENCE_SCORE
+  ) {
+    band = "high";
+  } else if (topScore >= MEDIUM_CONFIDENCE_SCORE) {
+    band = "medium";
+  }
+
+  return { band, topScore, meanTopScore, minScore };
+}
+
+module.exports = {
+  isValidMinScore,
+  resolveMinScore,
+  applyMinScore,
+  assessConfidence,
+  DEFAULT_MIN_SCORE,
+  NO_CONFIDENT_ANSWER_MESSAGE,
+};
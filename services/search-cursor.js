@@ -0,0 +1,139 @@
+/**
+ * Opaque pagination cursors for search and latest-data results.
+ *
+ * A cursor is base64url-encoded JSON. Search cursors carry the query
+ * embedding (packed as float32) so later pages skip re-embedding, plus the
+ * filters and the (score, id) position of the last result served.
+ */
+
+const mongoose = require("mongoose");
+
+const CURSOR_VERSION = 1;
+
+class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CursorError";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Pack an embedding as base64 float32 (about a third of the JSON size)
+ */
+function packEmbedding(embedding) {
+  if (!embedding) return null;
+  const floats = Float32Array.from(embedding);
+  return Buffer.from(floats.buffer).toString("base64");
+}
+
+function unpackEmbedding(packed) {
+  if (!packed) return null;
+  const bytes = Buffer.from(packed, "base64");
+  const floats = new Float32Array(
+    bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+  );
+  return Array.from(floats);
+}
+
+/**
+ * Encode a cursor payload of the given kind ("search" or "latest")
+ */
+function encodeCursor(kind, payload) {
+  const body = { v: CURSOR_VERSION, kind, ...payload };
+  return Buffer.from(JSON.stringify(body)).toString("base64url");
+}
+
+/**
+ * Decode and sanity-check a cursor
+ * @throws {CursorError} When the cursor is malformed or of another kind
+ */
+function decodeCursor(kind, cursor) {
+  let body;
+  try {
+    body = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (error) {
+    throw new CursorError("Malformed cursor");
+  }
+
+  if (!body || body.v !== CURSOR_VERSION || body.kind !== kind) {
+    throw new CursorError(`Cursor is not a valid ${kind} cursor`);
+  }
+
+  return body;
+}
+
+/**
+ * Order results by location tier (nearest first, for location searches),
+ * score (descending) then id, so positions are total and stable between
+ * requests
+ */
+function compareResults(a, b) {
+  const tierA = a.locationTier || 0;
+  const tierB = b.locationTier || 0;
+  if (tierA !== tierB) return tierA - tierB;
+  if (b.score !== a.score) return b.score - a.score;
+  return String(a._id).localeCompare(String(b._id));
+}
+
+/**
+ * Position of a result, stored in the cursor
+ */
+function positionOf(result) {
+  const position = { score: result.score, id: String(result._id) };
+  if (result.locationTier) position.tier = result.locationTier;
+  return position;
+}
+
+/**
+ * Whether a result sorts strictly after a cursor position
+ */
+function isAfterPosition(result, position) {
+  return (
+    compareResults(result, {
+      score: position.score,
+      _id: position.id,
+      locationTier: position.tier,
+    }) > 0
+  );
+}
+
+/**
+ * MongoDB condition selecting documents after a latest-data position, for the
+ * { CreatedOn: -1, _id: -1 } sort order. Undated documents sort after every
+ * dated one, so a null createdOn positions the cursor among them.
+ */
+function latestAfterPositionFilter(position) {
+  if (!position || !mongoose.Types.ObjectId.isValid(position.id)) {
+    throw new CursorError("Cursor has an invalid position");
+  }
+  const id = new mongoose.Types.ObjectId(position.id);
+
+  if (position.createdOn === null || position.createdOn === undefined) {
+    return { CreatedOn: null, _id: { $lt: id } };
+  }
+
+  const createdOn = new Date(position.createdOn);
+  if (Number.isNaN(createdOn.getTime())) {
+    throw new CursorError("Cursor has an invalid position");
+  }
+  return {
+    $or: [
+      { CreatedOn: { $lt: createdOn } },
+      { CreatedOn: createdOn, _id: { $lt: id } },
+      { CreatedOn: null },
+    ],
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  packEmbedding,
+  unpackEmbedding,
+  compareResults,
+  positionOf,
+  isAfterPosition,
+  latestAfterPositionFilter,
+  CursorError,
+};
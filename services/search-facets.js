@@ -0,0 +1,129 @@
+/**
+ * Facet buckets (value + count) for search and latest-data responses.
+ *
+ * Search facets are counted over the retrieved candidate set, after filters
+ * and minScore; latest-data facets are counted in MongoDB over every
+ * document matching the filters.
+ */
+
+const FACET_FIELDS = [
+  "StateName",
+  "DistrictName",
+  "Crop",
+  "Category",
+  "QueryType",
+  "Season",
+  "year",
+];
+
+// Buckets returned per field, largest first
+const FACET_BUCKET_LIMIT = parseInt(process.env.SEARCH_FACET_LIMIT) || 10;
+
+// Candidates retrieved for a faceted search, so counts cover more than a page
+const FACET_CANDIDATES = parseInt(process.env.SEARCH_FACET_CANDIDATES) || 100;
+
+class FacetValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FacetValidationError";
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Resolve which fields to facet on.
+ * `true` means every facet field; a list (or comma-separated string, as in
+ * a query string) picks some of them.
+ * @returns {string[]|null} Fields, or null when facets are off
+ * @throws {FacetValidationError} When a field cannot be faceted
+ */
+function parseFacets(input) {
+  if (input === undefined || input === null || input === "") return null;
+  if (input === false || input === "false") return null;
+  if (input === true || input === "true") return FACET_FIELDS;
+
+  const fields = Array.isArray(input)
+    ? input
+    : typeof input === "string"
+    ? input.split(",").map((field) => field.trim())
+    : null;
+  if (!fields) {
+    throw new FacetValidationError(
+      "facets must be true or a list of field names"
+    );
+  }
+
+  for (const field of fields) {
+    if (!FACET_FIELDS.includes(field)) {
+      throw new FacetValidationError(
+        `Cannot facet on ${field}. Allowed: ${FACET_FIELDS.join(", ")}`
+      );
+    }
+  }
+  return fields.length > 0 ? [...new Set(fields)] : null;
+}
+
+function sortBuckets(buckets) {
+  return buckets
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(b.value))
+    .slice(0, FACET_BUCKET_LIMIT);
+}
+
+/**
+ * Count facet values over in-memory results
+ * @returns {Object} { field: [{ value, count }] }
+ */
+function computeFacets(results, fields) {
+  const facets = {};
+
+  for (const field of fields) {
+    const counts = new Map();
+    for (const result of results) {
+      const value = result[field];
+      if (value === undefined || value === null || value === "") continue;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    facets[field] = sortBuckets(
+      Array.from(counts, ([value, count]) => ({ value, count }))
+    );
+  }
+
+  return facets;
+}
+
+/**
+ * Count facet values in MongoDB with a single $facet aggregation
+ * @param {Model} Document - Mongoose model
+ * @param {Object} mongoFilter - Compiled filters
+ * @returns {Promise<Object>} { field: [{ value, count }] }
+ */
+async function aggregateFacets(Document, mongoFilter, fields) {
+  const facetStages = {};
+  for (const field of fields) {
+    facetStages[field] = [
+      { $match: { [field]: { $nin: [null, ""] } } },
+      { $sortByCount: `$${field}` },
+      { $limit: FACET_BUCKET_LIMIT },
+      { $project: { _id: 0, value: "$_id", count: 1 } },
+    ];
+  }
+
+  const [facets] = await Document.aggregate([
+    { $match: mongoFilter },
+    { $facet: facetStages },
+  ]);
+
+  for (const field of fields) {
+    facets[field] = sortBuckets(facets[field]);
+  }
+  return facets;
+}
+
+module.exports = {
+  parseFacets,
+  computeFacets,
+  aggregateFacets,
+  FacetValidationError,
+  FACET_FIELDS,
+  FACET_CANDIDATES,
+};
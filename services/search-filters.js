@@ -0,0 +1,356 @@
+/**
+ * Structured filter language shared by the search and latest-data endpoints.
+ *
+ * A filter object maps a field to a condition:
+ *   { "StateName": "BIHAR" }                            whole value, any case
+ *   { "Crop": ["Paddy (Dhan)", "Wheat"] }               any of ($in shorthand)
+ *   { "Crop": { "$in": [...] } }                        any of
+ *   { "Category": { "$nin": [...] } } / { "$ne": x }    exclusion
+ *   { "DistrictName": { "$prefix": "PAT" } }            case-insensitive prefix
+ *   { "year": { "$gte": 2022, "$lte": 2024 } }          numeric range
+ *   { "CreatedOn": { "$gte": "2024-01-01" } }           date range
+ *
+ * String values are compared ignoring case, as free-text form inputs are
+ * ("bihar" finds "BIHAR"). Filters are validated and compiled in one place
+ * so user input never reaches MongoDB as a raw regular expression.
+ */
+
+const STRING_FIELDS = [
+  "StateName",
+  "DistrictName",
+  "BlockName",
+  "Season",
+  "Sector",
+  "Category",
+  "Crop",
+  "QueryType",
+];
+const NUMBER_FIELDS = ["year", "month"];
+const DATE_FIELDS = ["CreatedOn"];
+
+const FIELD_OPERATORS = {
+  string: ["$eq", "$in", "$ne", "$nin", "$prefix"],
+  number: ["$eq", "$in", "$ne", "$nin", "$gt", "$gte", "$lt", "$lte"],
+  date: ["$gt", "$gte", "$lt", "$lte"],
+};
+
+// Fields declared as "filter" paths in the Atlas vector index
+const VECTOR_FILTER_FIELDS = [
+  "StateName",
+  "DistrictName",
+  "BlockName",
+  "Crop",
+  "Season",
+  "Category",
+  "QueryType",
+  "year",
+  "month",
+  "CreatedOn",
+];
+
+const MAX_LIST_LENGTH = 100;
+const MAX_STRING_LENGTH = 200;
+
+class FilterValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FilterValidationError";
+    this.statusCode = 400;
+  }
+}
+
+function fieldType(field) {
+  if (STRING_FIELDS.includes(field)) return "string";
+  if (NUMBER_FIELDS.includes(field)) return "number";
+  if (DATE_FIELDS.includes(field)) return "date";
+  return null;
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date)
+  );
+}
+
+function normalizeScalar(field, type, value) {
+  if (type === "string") {
+    if (typeof value !== "string" && typeof value !== "number") {
+      throw new FilterValidationError(`${field} expects a string value`);
+    }
+    const text = String(value).trim();
+    if (text.length === 0 || text.length > MAX_STRING_LENGTH) {
+      throw new FilterValidationError(
+        `${field} values must be 1-${MAX_STRING_LENGTH} characters`
+      );
+    }
+    return text;
+  }
+
+  if (type === "number") {
+    const number = typeof value === "string" ? Number(value.trim()) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) {
+      throw new FilterValidationError(`${field} expects a numeric value`);
+    }
+    return number;
+  }
+
+  const isDateInput =
+    typeof value === "string" ||
+    typeof value === "number" ||
+    value instanceof Date;
+  const date = isDateInput ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new FilterValidationError(`${field} expects an ISO date value`);
+  }
+  return date;
+}
+
+function normalizeList(field, type, operator, value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new FilterValidationError(
+      `${field}.${operator} expects a non-empty array`
+    );
+  }
+  if (value.length > MAX_LIST_LENGTH) {
+    throw new FilterValidationError(
+      `${field}.${operator} accepts at most ${MAX_LIST_LENGTH} values`
+    );
+  }
+  return value.map((item) => normalizeScalar(field, type, item));
+}
+
+/**
+ * Validate a filter object and normalize it to { field: { operator: value } }
+ * @param {Object|string} filters - Filter object, or its JSON encoding
+ * @returns {Object} Normalized filters
+ * @throws {FilterValidationError} When a field, operator or value is invalid
+ */
+function parseFilters(filters) {
+  if (filters === undefined || filters === null || filters === "") {
+    return {};
+  }
+
+  if (typeof filters === "string") {
+    try {
+      filters = JSON.parse(filters);
+    } catch (error) {
+      throw new FilterValidationError("filters must be valid JSON");
+    }
+  }
+
+  if (!isPlainObject(filters)) {
+    throw new FilterValidationError("filters must be an object");
+  }
+
+  const normalized = {};
+
+  for (const [field, condition] of Object.entries(filters)) {
+    // Empty form inputs mean "no filter"
+    if (condition === undefined || condition === null || condition === "") {
+      continue;
+    }
+
+    const type = fieldType(field);
+    if (!type) {
+      throw new FilterValidationError(`Unknown filter field: ${field}`);
+    }
+
+    const allowed = FIELD_OPERATORS[type];
+    const clause = {};
+
+    if (Array.isArray(condition)) {
+      if (!allowed.includes("$in")) {
+        throw new FilterValidationError(`${field} does not support value lists`);
+      }
+      clause.$in = normalizeList(field, type, "$in", condition);
+    } else if (isPlainObject(condition)) {
+      const operators = Object.keys(condition);
+      if (operators.length === 0) continue;
+
+      for (const operator of operators) {
+        if (!allowed.includes(operator)) {
+          throw new FilterValidationError(
+            `Operator ${operator} is not supported for ${field}. Allowed: ${allowed.join(
+              ", "
+            )}`
+          );
+        }
+
+        clause[operator] =
+          operator === "$in" || operator === "$nin"
+            ? normalizeList(field, type, operator, condition[operator])
+            : normalizeScalar(field, type, condition[operator]);
+      }
+    } else {
+      if (!allowed.includes("$eq")) {
+        throw new FilterValidationError(
+          `${field} only supports range operators (${allowed.join(", ")})`
+        );
+      }
+      clause.$eq = normalizeScalar(field, type, condition);
+    }
+
+    normalized[field] = clause;
+  }
+
+  return normalized;
+}
+
+/**
+ * Case-insensitive match of a whole string value
+ */
+function anyCase(value) {
+  return new RegExp(`^${escapeRegExp(value)}$`, "i");
+}
+
+/**
+ * MongoDB condition for one operator of a string field
+ */
+function compileStringCondition(operator, value) {
+  switch (operator) {
+    case "$eq":
+      return { $regex: `^${escapeRegExp(value)}$`, $options: "i" };
+    case "$ne":
+      return { $not: anyCase(value) };
+    case "$in":
+    case "$nin":
+      return { [operator]: value.map(anyCase) };
+    default:
+      // $prefix
+      return { $regex: `^${escapeRegExp(value)}`, $options: "i" };
+  }
+}
+
+/**
+ * Compile filters into a MongoDB query for find() / $match
+ */
+function compileMongoFilter(filters) {
+  const normalized = parseFilters(filters);
+  const query = {};
+  const extraConditions = [];
+
+  for (const [field, clause] of Object.entries(normalized)) {
+    const condition = {};
+
+    for (const [operator, value] of Object.entries(clause)) {
+      const part =
+        fieldType(field) === "string"
+          ? compileStringCondition(operator, value)
+          : { [operator]: value };
+
+      // Two regular expressions on one field ($eq and $prefix) cannot share
+      // a condition object
+      if (Object.keys(part).some((key) => key in condition)) {
+        extraConditions.push({ [field]: part });
+      } else {
+        Object.assign(condition, part);
+      }
+    }
+
+    query[field] = condition;
+  }
+
+  if (extraConditions.length > 0) query.$and = extraConditions;
+  return query;
+}
+
+// Documents and passages keep lower-cased copies of their text filter
+// fields under this path; Atlas filters compare strings exactly, so the
+// vector pre-filter matches on the copies
+const FILTER_KEYS_PATH = "filterKeys";
+
+/**
+ * Lower-cased copies of a document's text filter fields, stored as
+ * `filterKeys`
+ */
+function filterKeysFor(document) {
+  const keys = {};
+  for (const field of VECTOR_FILTER_FIELDS) {
+    if (fieldType(field) === "string" && typeof document[field] === "string") {
+      keys[field] = document[field].trim().toLowerCase();
+    }
+  }
+  return keys;
+}
+
+/**
+ * Path a field is pre-filtered on in the Atlas vector indexes
+ */
+function vectorFilterPath(field) {
+  return fieldType(field) === "string" ? `${FILTER_KEYS_PATH}.${field}` : field;
+}
+
+/**
+ * $vectorSearch clauses for a string field: lower-cased values against the
+ * filterKeys copy, one clause per operator so they combine with AND as in
+ * compileMongoFilter
+ */
+function vectorStringClauses(field, clause) {
+  return Object.entries(clause).map(([operator, value]) => ({
+    [vectorFilterPath(field)]: {
+      [operator]: Array.isArray(value)
+        ? value.map((item) => item.toLowerCase())
+        : value.toLowerCase(),
+    },
+  }));
+}
+
+/**
+ * Compile filters into an Atlas $vectorSearch pre-filter.
+ * Prefix matches and fields the vector index does not declare cannot be
+ * pre-filtered; they are reported so the caller can use the local path.
+ * Text fields are matched on their lower-cased filterKeys copies, so they
+ * ignore case here too.
+ * @returns {Object} { filter, unsupportedFields } - filter is null when empty
+ */
+function compileVectorSearchFilter(filters) {
+  const normalized = parseFilters(filters);
+  const clauses = [];
+  const unsupportedFields = [];
+
+  for (const [field, clause] of Object.entries(normalized)) {
+    if (!VECTOR_FILTER_FIELDS.includes(field) || "$prefix" in clause) {
+      unsupportedFields.push(field);
+      continue;
+    }
+    if (fieldType(field) === "string") {
+      clauses.push(...vectorStringClauses(field, clause));
+    } else {
+      clauses.push({ [field]: clause });
+    }
+  }
+
+  let filter = null;
+  if (clauses.length === 1) {
+    filter = clauses[0];
+  } else if (clauses.length > 1) {
+    filter = { $and: clauses };
+  }
+
+  return { filter, unsupportedFields };
+}
+
+module.exports = {
+  parseFilters,
+  compileMongoFilter,
+  compileVectorSearchFilter,
+  filterKeysFor,
+  vectorFilterPath,
+  escapeRegExp,
+  FilterValidationError,
+  VECTOR_FILTER_FIELDS,
+  FILTER_KEYS_PATH,
+  STRING_FIELDS,
+  NUMBER_FIELDS,
+  DATE_FIELDS,
+};
@@ -0,0 +1,502 @@
+const mongoose = require("mongoose");
+const Document = require("../models/Document");
+const { getEmbeddingProvider } = require("./embedding-providers");
+const {
+  generateEmbedding,
+  searchByMode,
+  attachSimilarity,
+  hybridFusionDepth,
+  SEARCH_MODES,
+} = require("./semantic-search");
+const { parseFilters } = require("./search-filters");
+const { rerankResults, resolveTopN, getReranker } = require("./reranker");
+const {
+  resolveMinScore,
+  applyMinScore,
+  assessConfidence,
+  NO_CONFIDENT_ANSWER_MESSAGE,
+} = require("./search-confidence");
+const { parseBoosts, applyBoosts } = require("./ranking-boosts");
+const {
+  validateLocationRequest,
+  searchLocationTiers,
+} = require("./location-search");
+const {
+  parseDiversity,
+  diversifyResults,
+  DIVERSITY_CANDIDATES,
+} = require("./result-diversity");
+const {
+  parseFacets,
+  computeFacets,
+  FACET_CANDIDATES,
+} = require("./search-facets");
+const { parseMatchOn } = require("./match-targets");
+const resultCache = require("./result-cache");
+const {
+  resolveSearchStrategy,
+  servedStrategy,
+} = require("./search-strategies");
+const {
+  parseFeedbackBoost,
+  applyFeedbackBoost,
+} = require("./relevance-feedback");
+const {
+  parseIntent,
+  classifyIntent,
+  applyIntentBoost,
+} = require("./intent-classifier");
+const {
+  encodeCursor,
+  decodeCursor,
+  packEmbedding,
+  unpackEmbedding,
+  compareResults,
+  positionOf,
+  isAfterPosition,
+  CursorError,
+} = require("./search-cursor");
+
+// Deepest result position a cursor can page to
+const MAX_SEARCH_DEPTH = parseInt(process.env.SEARCH_MAX_DEPTH) || 1000;
+
+// Similarity at which a "more like this" hit counts as the same text
+const DUPLICATE_SIMILARITY = 0.9999;
+
+// Boosts reorder results, so retrieve deeper to let boosted ones surface
+const BOOST_CANDIDATE_FACTOR = 3;
+
+/**
+ * Run a paged search for /api/search.
+ *
+ * The first page embeds the query; its cursor carries that embedding, the
+ * filters and the position of the last result, so the next page re-runs the
+ * retrieval deeper and keeps only results that sort after that position.
+ *
+ * With re-ranking enabled, the top rerankTopN candidates are rescored by
+ * the cross-encoder and pages are drawn from that reranked set.
+ *
+ * Results below minScore similarity are dropped; the response carries a
+ * confidence band and flags when nothing was similar enough. Recency and
+ * seasonal boosts (see ranking-boosts.js) then set the final score.
+ *
+ * With a location, results are drawn from the caller's block, district,
+ * state and then the whole country (see location-search.js), nearest first.
+ *
+ * Duplicate collapsing and MMR (see result-diversity.js) reorder a fixed
+ * candidate set, so those pages are cut by offset instead of by position.
+ *
+ * matchOn picks the stored vectors scored against the query: question,
+ * answer, the combined text or a weighted blend (see match-targets.js).
+ *
+ * Facets count field values over the whole candidate set, which is then
+ * retrieved at least FACET_CANDIDATES deep.
+ *
+ * With intent, the query's Crop, Category and QueryType are predicted from
+ * its nearest neighbours (see intent-classifier.js) on the first page; the
+ * cursor keeps the prediction. Confident labels can boost matching results.
+ *
+ * With feedback, results are boosted or demoted by agents' votes on them
+ * for similar past queries (see relevance-feedback.js).
+ *
+ * Retrieval is skipped when the result cache (see result-cache.js) holds
+ * candidates for a near-identical query with the same settings. Those were
+ * scored against the cached query's embedding, which the cursor then
+ * carries so later pages line up. `cache: false` bypasses the cache.
+ *
+ * Hybrid searches fuse both lists at the depth of the first page, kept in
+ * the cursor, so fused scores stay comparable between pages.
+ *
+ * `strategy` picks how candidates are retrieved (see search-strategies.js);
+ * the cursor keeps the vector strategy "auto" resolved to, and the response
+ * names the strategy that served the page.
+ *
+ * @param {Object} request - { query, topK, filters, mode, strategy, cursor,
+ *   rerank, rerankTopN, minScore, boosts, location, mmr, mmrLambda,
+ *   collapseDuplicates, duplicateThreshold, facets, matchOn, intent,
+ *   feedback, cache }
+ * @returns {Object} { query, mode, strategy, vectorStrategy, filters,
+ *   results, nextCursor, confidence, noConfidentAnswer, resultCache, timings }
+ */
+async function runSearch(request = {}) {
+  let {
+    query,
+    filters = {},
+    mode = "vector",
+    rerankTopN = null,
+    minScore = null,
+    boosts,
+    location,
+    facets,
+    matchOn,
+    intent,
+    feedback,
+    strategy,
+  } = request;
+  const topK = Math.max(1, parseInt(request.topK) || 10);
+  let queryEmbedding = null;
+  let position = null;
+  let offset = 0;
+  let fusionDepth = null;
+  let diversity = null;
+  let intentResult = null;
+  let useCache = request.cache !== false;
+
+  if (request.cursor) {
+    const cursor = decodeCursor("search", request.cursor);
+    if (!SEARCH_MODES.includes(cursor.mode)) {
+      throw new CursorError(`Cursor has an unknown search mode`);
+    }
+    ({ query, mode, filters, offset, rerankTopN, minScore } = cursor);
+    boosts = cursor.boosts || false;
+    location = cursor.location || null;
+    diversity = cursor.diversity || null;
+    facets = cursor.facets || null;
+    matchOn = cursor.matchOn || null;
+    intent = cursor.intent || null;
+    intentResult = cursor.intentResult || null;
+    feedback = cursor.feedback || null;
+    strategy = cursor.strategy || null;
+    fusionDepth = cursor.fusionDepth || null;
+    useCache = cursor.cache !== false;
+    queryEmbedding = unpackEmbedding(cursor.embedding);
+    position = cursor.position;
+  }
+
+  // Validate before doing any work
+  parseFilters(filters);
+  location = validateLocationRequest(location, filters);
+  facets = parseFacets(facets);
+  matchOn = parseMatchOn(matchOn);
+  intent = parseIntent(intent);
+  feedback = parseFeedbackBoost(feedback);
+  const plan = resolveSearchStrategy(strategy, mode);
+  mode = plan.mode;
+
+  if (!request.cursor) {
+    rerankTopN = request.rerank ? resolveTopN(request.rerankTopN) : null;
+    diversity = parseDiversity(request);
+  }
+  minScore = resolveMinScore(minScore);
+  boosts = parseBoosts(boosts);
+
+  // Only stages that ran are timed: a cursor page reuses its embedding and
+  // a cache hit skips retrieval
+  const timings = {};
+
+  // Every mode needs the query vector: minScore compares cosine similarity
+  if (!queryEmbedding) {
+    const embeddingStartTime = Date.now();
+    queryEmbedding = await generateEmbedding(query);
+    timings.embedding = Date.now() - embeddingStartTime;
+  }
+
+  if (intent && !intentResult) {
+    const intentStartTime = Date.now();
+    const { predictions, inferredFilters } = await classifyIntent(query, {
+      k: intent.k,
+      threshold: intent.threshold,
+      filters,
+      queryEmbedding,
+    });
+    intentResult = { predictions, inferredFilters };
+    timings.intent = Date.now() - intentStartTime;
+  }
+  const intentBoost = Boolean(intent && intent.boost);
+
+  // Retrieve one result past this page to know whether another page exists.
+  // Re-ranking and diversification always work on a fixed candidate set.
+  const fixedCandidates = Boolean(rerankTopN || diversity);
+  const depth = fixedCandidates
+    ? rerankTopN || DIVERSITY_CANDIDATES
+    : Math.min(
+        Math.max(
+          (offset + topK + 1) *
+            (boosts || intentBoost || feedback ? BOOST_CANDIDATE_FACTOR : 1),
+          facets ? FACET_CANDIDATES : 0
+        ),
+        MAX_SEARCH_DEPTH
+      );
+
+  // Hybrid scores depend on how deep each side was fused, so every page
+  // fuses at the first page's depth
+  if (mode === "hybrid" && !fusionDepth) {
+    fusionDepth = Math.min(hybridFusionDepth(depth), MAX_SEARCH_DEPTH);
+  }
+
+  // Keyword hits get a similarity too, then weak matches are dropped
+  let filteredOut = 0;
+  const trace = {};
+  const retrieve = async (retrievalFilters, limit) => {
+    const found = await searchByMode(query, limit, retrievalFilters, mode, {
+      queryEmbedding,
+      matchWeights: matchOn,
+      vectorSearch: plan.vectorSearch,
+      fusionDepth,
+      trace,
+    });
+    const thresholded = applyMinScore(
+      await attachSimilarity(found, queryEmbedding, matchOn),
+      minScore
+    );
+    filteredOut += thresholded.filteredOut;
+    return thresholded.results;
+  };
+
+  const cacheSettings = {
+    query,
+    mode,
+    strategy: plan.vectorStrategy,
+    fusionDepth,
+    filters,
+    minScore,
+    matchOn,
+    location,
+  };
+  const { hit: cacheHit, generation } = useCache
+    ? resultCache.lookup(cacheSettings, queryEmbedding, depth)
+    : { hit: null };
+
+  let candidates;
+  let served;
+  if (cacheHit) {
+    candidates = cacheHit.candidates;
+    filteredOut = cacheHit.filteredOut;
+    queryEmbedding = cacheHit.embedding;
+    served = cacheHit.served;
+  } else {
+    const searchStartTime = Date.now();
+    candidates = location
+      ? await searchLocationTiers(location, filters, depth, retrieve)
+      : await retrieve(filters, depth);
+    served = servedStrategy(plan, trace);
+    if (useCache) {
+      resultCache.store(
+        cacheSettings,
+        queryEmbedding,
+        depth,
+        { candidates, filteredOut, served },
+        generation
+      );
+    }
+    timings.search = Date.now() - searchStartTime;
+  }
+
+  if (rerankTopN) {
+    const rerankStartTime = Date.now();
+    candidates = await rerankResults(query, candidates, { topN: rerankTopN });
+    timings.rerank = Date.now() - rerankStartTime;
+  }
+
+  candidates = applyBoosts(candidates, boosts);
+  if (intentBoost) {
+    candidates = applyIntentBoost(candidates, {
+      ...intentResult,
+      weight: intent.weight,
+    });
+  }
+  if (feedback) {
+    const feedbackStartTime = Date.now();
+    candidates = await applyFeedbackBoost(candidates, queryEmbedding, feedback);
+    timings.feedback = Date.now() - feedbackStartTime;
+  }
+
+  candidates.sort(compareResults);
+  const facetCounts = facets ? computeFacets(candidates, facets) : null;
+
+  let remaining;
+  let diversityVectors = null;
+  if (diversity) {
+    const diversityStartTime = Date.now();
+    ({ results: candidates, vectors: diversityVectors } =
+      await diversifyResults(candidates, diversity));
+    timings.diversity = Date.now() - diversityStartTime;
+    remaining = candidates.slice(offset);
+  } else {
+    // Boosted and approximate retrieval can surface a result above the
+    // cursor on a deeper page; it is skipped, never served twice
+    remaining = position
+      ? candidates.filter((result) => isAfterPosition(result, position))
+      : candidates;
+  }
+
+  const results = remaining.slice(0, topK);
+  const hasMore =
+    remaining.length > topK && (fixedCandidates || depth < MAX_SEARCH_DEPTH);
+
+  const nextCursor = hasMore
+    ? encodeCursor("search", {
+        query,
+        mode,
+        filters,
+        embedding: packEmbedding(queryEmbedding),
+        position: positionOf(results[results.length - 1]),
+        offset: offset + results.length,
+        rerankTopN,
+        minScore,
+        boosts,
+        location,
+        diversity,
+        facets,
+        matchOn,
+        intent,
+        intentResult,
+        feedback,
+        strategy: plan.vectorStrategy,
+        fusionDepth,
+        cache: useCache ? undefined : false,
+      })
+    : null;
+
+  const confidence = assessConfidence(results, minScore);
+
+  return {
+    query,
+    mode,
+    strategy: served.strategy,
+    vectorStrategy: served.vectorStrategy,
+    filters,
+    topK,
+    results,
+    nextCursor,
+    hasMore: Boolean(hasMore),
+    reranker: rerankTopN ? getReranker().name : null,
+    minScore,
+    boosts,
+    location,
+    diversity: diversity ? { ...diversity, vectors: diversityVectors } : null,
+    matchOn,
+    intent: intent ? { ...intent, ...intentResult } : null,
+    feedback,
+    facets: facetCounts,
+    filteredOut,
+    confidence,
+    resultCache: cacheHit
+      ? {
+          query: cacheHit.query,
+          similarity: cacheHit.similarity,
+          ageSeconds: cacheHit.ageSeconds,
+        }
+      : null,
+    // Only the first page can tell that nothing relevant exists at all
+    noConfidentAnswer: !position && confidence.band === "none",
+    message:
+      !position && confidence.band === "none"
+        ? NO_CONFIDENT_ANSWER_MESSAGE
+        : null,
+    timings,
+  };
+}
+
+class SimilarDocumentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "SimilarDocumentError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Question and answer text, ignoring case and spacing
+ */
+function duplicateKey(doc) {
+  return [doc.QueryText, doc.KccAns]
+    .map((text) =>
+      String(text || "")
+        .toLowerCase()
+        .replace(/\s+/g, " ")
+        .trim()
+    )
+    .join("|");
+}
+
+/**
+ * "More like this": vector search using a stored document's embedding as
+ * the query vector, so no model inference runs. The source document and its
+ * exact duplicates (same question and answer, or an identical embedding)
+ * are left out; retrieval goes deeper until topK others are found.
+ * @param {string} id - Source document id
+ * @param {Object} request - { topK, filters }
+ * @returns {Object} { source, topK, filters, results, excludedDuplicates,
+ *   timings }
+ * @throws {SimilarDocumentError} 400 for a bad id, 404 when the document
+ *   does not exist, 409 when it has no embedding from the active model
+ */
+async function findSimilarDocuments(id, request = {}) {
+  const filters = request.filters || {};
+  const topK = Math.max(1, parseInt(request.topK) || 10);
+  parseFilters(filters);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new SimilarDocumentError("Invalid document id");
+  }
+
+  const source = await Document.findById(id).lean();
+  if (!source) {
+    throw new SimilarDocumentError("Document not found", 404);
+  }
+  if (
+    !Array.isArray(source.embedding) ||
+    source.embedding.length === 0 ||
+    source.embeddingModel !== getEmbeddingProvider().name
+  ) {
+    throw new SimilarDocumentError(
+      "Document has no embedding from the active model yet",
+      409
+    );
+  }
+
+  const sourceKey = duplicateKey(source);
+  const isDuplicate = (result) =>
+    String(result._id) === String(source._id) ||
+    result.similarity >= DUPLICATE_SIMILARITY ||
+    duplicateKey(result) === sourceKey;
+
+  const searchStartTime = Date.now();
+  let depth = Math.min(topK * 2 + 1, MAX_SEARCH_DEPTH);
+  let found;
+  let results;
+
+  for (;;) {
+    found = await searchByMode(source.QueryText, depth, filters, "vector", {
+      queryEmbedding: source.embedding,
+    });
+    results = found.filter((result) => !isDuplicate(result));
+
+    // Stop once topK remain, or when nothing deeper is left to fetch
+    if (
+      results.length >= topK ||
+      found.length < depth ||
+      depth >= MAX_SEARCH_DEPTH
+    ) {
+      break;
+    }
+    depth = Math.min(depth * 4, MAX_SEARCH_DEPTH);
+  }
+
+  return {
+    source: {
+      _id: source._id,
+      QueryText: source.QueryText,
+      KccAns: source.KccAns,
+      StateName: source.StateName,
+      DistrictName: source.DistrictName,
+      Crop: source.Crop,
+    },
+    topK,
+    filters,
+    results: results.slice(0, topK),
+    excludedDuplicates: found.filter(
+      (result) =>
+        String(result._id) !== String(source._id) && isDuplicate(result)
+    ).length,
+    timings: { search: Date.now() - searchStartTime },
+  };
+}
+
+module.exports = {
+  runSearch,
+  findSimilarDocuments,
+  SimilarDocumentError,
+  MAX_SEARCH_DEPTH,
+};
@@ -0,0 +1,321 @@
+/**
+ * Search strategies: the ways /api/search can retrieve candidates, kept in a
+ * registry so new ones can be plugged in next to the built-in ones.
+ *
+ *   atlas-vector  Atlas $vectorSearch on vector_index
+ *   aggregation   Dot products computed in a MongoDB aggregation
+ *   linear        Cosine similarity over every matching document in process
+ *   ann           The in-process ANN index (see ann-index.js)
+ *   hybrid        A vector strategy fused with keyword search (RRF)
+ *   keyword       The lexical text index only
+ *
+ * "auto" uses the vector strategy detected at startup: Atlas when the
+ * vector index exists, otherwise a linear scan for small collections, the
+ * ANN index for larger ones, and the aggregation when ANN is disabled.
+ *
+ * Every vector strategy honours matchOn weights and answer passages; outside
+ * atlas-vector those are scanned rather than searched through Atlas indexes.
+ *
+ * A strategy that cannot serve a search falls back (Atlas to ANN or linear,
+ * ANN to linear while the index builds, and matchOn searches without Atlas
+ * to a linear scan). Searches record the strategy that actually ran in
+ * `options.trace.strategy`.
+ */
+
+const Document = require("../models/Document");
+const semanticSearchModule = require("./semantic-search");
+const annIndex = require("./ann-index");
+
+// Collections up to this many embedded documents are scanned linearly
+const LINEAR_MAX_DOCUMENTS =
+  parseInt(process.env.SEARCH_STRATEGY_LINEAR_MAX) || 2000;
+
+// Atlas index semanticSearch() queries
+const ATLAS_VECTOR_INDEX = "vector_index";
+
+// Used for "auto" until detection has run, and when it fails
+const DEFAULT_VECTOR_STRATEGY = "atlas-vector";
+
+// Strategy for requests that do not name one
+const CONFIGURED_STRATEGY = process.env.SEARCH_STRATEGY || "auto";
+
+const STRATEGY_KINDS = ["vector", "hybrid", "keyword"];
+
+class StrategyValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StrategyValidationError";
+    this.statusCode = 400;
+  }
+}
+
+const strategies = new Map();
+let autoSelection = null;
+
+/**
+ * Register a strategy
+ * @param {string} name - Value accepted in the `strategy` request field
+ * @param {Object} strategy - { kind, description, search } where kind is
+ *   "vector", "hybrid" or "keyword" and search is
+ *   (query, topK, filters, options) => results. Vector strategies return
+ *   results with `similarity` and set options.trace.strategy.
+ */
+function registerSearchStrategy(name, strategy) {
+  if (!strategy || typeof strategy.search !== "function") {
+    throw new Error(`Search strategy ${name} needs a search function`);
+  }
+  if (!STRATEGY_KINDS.includes(strategy.kind)) {
+    throw new Error(
+      `Search strategy ${name} needs a kind: ${STRATEGY_KINDS.join(", ")}`
+    );
+  }
+  strategies.set(name, { name, description: "", ...strategy });
+}
+
+function listSearchStrategies() {
+  return Array.from(strategies.values()).map(({ name, kind, description }) => ({
+    name,
+    kind,
+    description,
+  }));
+}
+
+function autoVectorStrategy() {
+  const name = autoSelection ? autoSelection.strategy : null;
+  return strategies.has(name) ? name : DEFAULT_VECTOR_STRATEGY;
+}
+
+function defaultStrategy() {
+  return strategies.has(CONFIGURED_STRATEGY) ? CONFIGURED_STRATEGY : "auto";
+}
+
+/**
+ * Resolve a requested strategy against the ranking mode
+ * @param {string} requested - "auto" or a registered name (default:
+ *   SEARCH_STRATEGY, or "auto" when that does not fit the mode)
+ * @param {string} mode - "vector", "keyword" or "hybrid"
+ * @returns {Object} { requested, mode, vectorStrategy, vectorSearch }:
+ *   "hybrid" and "keyword" strategies switch the mode; vectorStrategy names
+ *   the vector strategy a vector or hybrid search will use (null for
+ *   keyword search)
+ * @throws {StrategyValidationError} When the strategy is unknown or does
+ *   not fit the mode
+ */
+function resolveSearchStrategy(requested, mode = "vector") {
+  const explicit = requested !== undefined && requested !== null;
+  requested = explicit ? requested : defaultStrategy();
+  if (requested !== "auto" && !strategies.has(requested)) {
+    throw new StrategyValidationError(
+      `strategy must be one of: auto, ${Array.from(strategies.keys()).join(
+        ", "
+      )}`
+    );
+  }
+
+  const strategy = requested === "auto" ? null : strategies.get(requested);
+  const kind = strategy ? strategy.kind : mode === "vector" ? null : mode;
+
+  // Vector strategies also drive the vector half of hybrid search
+  if (
+    strategy &&
+    mode !== "vector" &&
+    strategy.kind !== mode &&
+    !(strategy.kind === "vector" && mode === "hybrid")
+  ) {
+    // A configured default that does not fit the mode is not the caller's error
+    if (!explicit) return resolveSearchStrategy("auto", mode);
+    throw new StrategyValidationError(
+      `strategy ${requested} cannot run in ${mode} mode`
+    );
+  }
+
+  if (kind === "keyword") {
+    return {
+      requested,
+      mode: "keyword",
+      vectorStrategy: null,
+      vectorSearch: undefined,
+    };
+  }
+
+  const vectorStrategy =
+    strategy && strategy.kind === "vector" ? requested : autoVectorStrategy();
+  return {
+    requested,
+    mode: kind === "hybrid" ? "hybrid" : mode,
+    vectorStrategy,
+    vectorSearch: strategies.get(vectorStrategy).search,
+  };
+}
+
+/**
+ * The strategy that served a search: hybrid and keyword searches are named
+ * by their mode, vector searches by whatever ran after any fallback
+ * @param {Object} plan - resolveSearchStrategy() result
+ * @param {Object} trace - The options.trace object the search filled in
+ * @returns {Object} { strategy, vectorStrategy }
+ */
+function servedStrategy(plan, trace = {}) {
+  const vectorStrategy =
+    plan.mode === "keyword" ? null : trace.strategy || plan.vectorStrategy;
+  return {
+    strategy: plan.mode === "vector" ? vectorStrategy : plan.mode,
+    vectorStrategy,
+  };
+}
+
+/**
+ * Run one search with a named strategy (or "auto")
+ * @returns {Promise<Object>} { results, strategy, vectorStrategy }
+ */
+async function searchWithStrategy(
+  name,
+  query,
+  topK = 10,
+  filters = {},
+  options = {}
+) {
+  const plan = resolveSearchStrategy(name);
+  const trace = {};
+  const strategy = strategies.get(
+    plan.requested === "auto" && plan.mode === "vector"
+      ? plan.vectorStrategy
+      : plan.requested
+  );
+  const results = await strategy.search(query, topK, filters, {
+    ...options,
+    trace,
+  });
+  return { results, ...servedStrategy(plan, trace) };
+}
+
+/**
+ * Whether the Atlas vector index exists and can be queried. Deployments
+ * without Atlas Search reject $listSearchIndexes, which counts as no.
+ */
+async function hasAtlasVectorIndex() {
+  try {
+    const indexes = await Document.aggregate([
+      { $listSearchIndexes: { name: ATLAS_VECTOR_INDEX } },
+    ]);
+    return indexes.some((index) => index.queryable !== false);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pick the vector strategy "auto" resolves to, from whether the Atlas index
+ * exists and how many documents carry an active-model embedding. Whether
+ * 'passage_index' exists is checked again at the same time.
+ * @returns {Promise<Object>} { strategy, reason, atlasIndex, passageIndex,
+ *   documents, annEnabled, detectedAt }
+ */
+async function detectSearchStrategy() {
+  const [atlasIndex, passageIndex, documents] = await Promise.all([
+    hasAtlasVectorIndex(),
+    semanticSearchModule.detectPassageIndex(),
+    Document.countDocuments(semanticSearchModule.activeModelFilter()),
+  ]);
+  const annEnabled = annIndex.isEnabled();
+
+  let strategy;
+  let reason;
+  if (atlasIndex) {
+    strategy = "atlas-vector";
+    reason = `Atlas index ${ATLAS_VECTOR_INDEX} is available`;
+  } else if (documents <= LINEAR_MAX_DOCUMENTS) {
+    strategy = "linear";
+    reason = `no Atlas index; ${documents} documents fit a linear scan`;
+  } else if (annEnabled) {
+    strategy = "ann";
+    reason = `no Atlas index; ${documents} documents need the ANN index`;
+  } else {
+    strategy = "aggregation";
+    reason = `no Atlas index and the ANN index is disabled; ${documents} documents are scored in MongoDB`;
+  }
+
+  autoSelection = {
+    strategy,
+    reason,
+    atlasIndex,
+    passageIndex,
+    documents,
+    annEnabled,
+    detectedAt: new Date(),
+  };
+  console.log(`🧭 Auto search strategy: ${strategy} (${reason})`);
+  return autoSelection;
+}
+
+function getStrategyStatus() {
+  return {
+    default: defaultStrategy(),
+    auto: autoSelection || {
+      strategy: DEFAULT_VECTOR_STRATEGY,
+      reason: "not detected yet",
+    },
+    linearMaxDocuments: LINEAR_MAX_DOCUMENTS,
+    strategies: listSearchStrategies(),
+  };
+}
+
+registerSearchStrategy("atlas-vector", {
+  kind: "vector",
+  description: "Atlas $vectorSearch on vector_index",
+  search: (query, topK, filters, options) =>
+    semanticSearchModule.semanticSearch(query, topK, filters, options),
+});
+registerSearchStrategy("aggregation", {
+  kind: "vector",
+  description: "Dot products in a MongoDB aggregation, no Atlas index needed",
+  search: (query, topK, filters, options) =>
+    semanticSearchModule.fastSemanticSearch(query, topK, filters, options),
+});
+registerSearchStrategy("linear", {
+  kind: "vector",
+  description: "Cosine similarity over every matching document in process",
+  search: (query, topK, filters, options) =>
+    semanticSearchModule.semanticSearchFallback(query, topK, filters, {
+      ...options,
+      ann: false,
+    }),
+});
+registerSearchStrategy("ann", {
+  kind: "vector",
+  description: "In-process ANN index, linear scan while it builds",
+  search: (query, topK, filters, options) =>
+    semanticSearchModule.semanticSearchFallback(query, topK, filters, options),
+});
+registerSearchStrategy("hybrid", {
+  kind: "hybrid",
+  description: "Auto vector strategy fused with keyword search",
+  search: (query, topK, filters, options) =>
+    semanticSearchModule.hybridSearch(query, topK, filters, {
+      vectorSearch: strategies.get(autoVectorStrategy()).search,
+      ...options,
+    }),
+});
+registerSearchStrategy("keyword", {
+  kind: "keyword",
+  description: "Lexical text index only",
+  search: (query, topK, filters) =>
+    semanticSearchModule.keywordSearch(query, topK, filters),
+});
+
+if (defaultStrategy() !== CONFIGURED_STRATEGY) {
+  console.warn(
+    `⚠️ Unknown SEARCH_STRATEGY "${CONFIGURED_STRATEGY}", using auto`
+  );
+}
+
+module.exports = {
+  registerSearchStrategy,
+  listSearchStrategies,
+  resolveSearchStrategy,
+  servedStrategy,
+  searchWithStrategy,
+  detectSearchStrategy,
+  getStrategyStatus,
+  StrategyValidationError,
+};
@@ -1,33 +1,257 @@
 require("dotenv").config();
 const mongoose = require("mongoose");
-const { pipeline } = require("@xenova/transformers");
 
 // MongoDB connection URI from environment variables
 const MONGODB_URI = process.env.MONGODB_URI;
 
 // Import the shared Document model
 const Document = require("../models/Document");
+const Passage = require("../models/Passage");
+
+// In-process approximate nearest neighbour index used by the fallback path
+const annIndex = require("./ann-index");
+
+// Cached candidates for near-identical queries, cleared on corpus changes
+const resultCache = require("./result-cache");
+
+// Batched, worker-thread embedding for documents (bypasses the query cache)
+const bulkEmbedder = require("./bulk-embedder");
+
+// Optional cross-encoder re-ranking of the top candidates
+const { rerankResults, resolveTopN } = require("./reranker");
+
+// Shared filter grammar (validation + compilation to MongoDB queries)
+const {
+  compileMongoFilter,
+  compileVectorSearchFilter,
+  filterKeysFor,
+  vectorFilterPath,
+  VECTOR_FILTER_FIELDS,
+} = require("./search-filters");
+
+// Pluggable embedding models (transformers, http, hash)
+const {
+  getEmbeddingProvider,
+  describeEmbeddingProvider,
+  embeddingMetadata,
+  LEGACY_EMBEDDING_MODEL,
+} = require("./embedding-providers");
+
+// Admin-editable templates for the text each document is embedded as
+const {
+  renderEmbeddingText,
+  loadEmbeddingTemplates,
+  LEGACY_EMBEDDING_TEMPLATE,
+} = require("./embedding-templates");
+
+// Question-only / answer-only vectors and matchOn weights
+const {
+  isCombinedOnly,
+  matchTargetFilter,
+  matchTargetProjection,
+  questionAnswerFilter,
+  TARGET_FIELDS,
+  TARGET_MODEL_FIELDS,
+} = require("./match-targets");
+
+// Overlapping passages of long answers, embedded on their own
+const {
+  mergePassageResults,
+  getPassageStats,
+  copyParentFilterFields,
+  PASSAGE_SEARCH_ENABLED,
+  PASSAGE_FILTER_FIELDS,
+} = require("./answer-passages");
+
+// Vectors never returned with search results
+const VECTOR_EXCLUSION = {
+  embedding: 0,
+  questionEmbedding: 0,
+  answerEmbedding: 0,
+};
+
+// LRU + TTL query embedding cache, optionally shared through MongoDB
+const queryEmbeddingCache = require("./query-embedding-cache");
+
+// Supported ranking modes for /api/search
+const SEARCH_MODES = ["vector", "keyword", "hybrid"];
 
-// Global pipeline variable to store the loaded model
-let embeddingPipeline = null;
+// Passage hits fetched per wanted result; several may share a parent
+const PASSAGE_CANDIDATE_FACTOR = 4;
+// Atlas index passages are searched on when Atlas indexes are in use
+const PASSAGE_VECTOR_INDEX = "passage_index";
+// Passages scored per search by the strategies that scan them in process
+const PASSAGE_SCAN_LIMIT = parseInt(process.env.PASSAGE_SCAN_LIMIT) || 2000;
 
-// Query embedding cache to avoid recomputing same queries
-const queryEmbeddingCache = new Map();
-const CACHE_SIZE_LIMIT = 100; // Limit cache to 100 entries
+// Result of the last passage index check (a promise), see detectPassageIndex()
+let passageIndexCheck = null;
+
+// Reciprocal-rank fusion constant (higher values flatten the rank curve)
+const RRF_K = parseInt(process.env.HYBRID_RRF_K) || 60;
 
 /**
- * Initialize the embedding pipeline with the local transformer model
+ * Initialize the configured embedding provider (see embedding-providers.js)
  */
 async function initializeEmbeddingPipeline() {
-  if (!embeddingPipeline) {
-    console.log("🤖 Loading Xenova/all-MiniLM-L6-v2 model...");
-    embeddingPipeline = await pipeline(
-      "feature-extraction",
-      "Xenova/all-MiniLM-L6-v2"
+  const provider = getEmbeddingProvider();
+  await provider.initialize();
+  return provider;
+}
+
+/**
+ * MongoDB condition for documents embedded by the active provider. Search
+ * only ever compares the query vector against these.
+ */
+function activeModelFilter() {
+  return {
+    embedding: { $exists: true, $ne: [] },
+    embeddingModel: getEmbeddingProvider().name,
+  };
+}
+
+/**
+ * MongoDB condition for documents whose embedding came from another model
+ */
+function staleEmbeddingFilter() {
+  return {
+    "embedding.0": { $exists: true },
+    embeddingModel: { $ne: getEmbeddingProvider().name },
+  };
+}
+
+/**
+ * Record the model on embeddings written before model tracking existed.
+ * Only the default MiniLM model was in use then, so 384-dimension vectors
+ * without a model are attributed to it; anything else stays stale.
+ * Embeddings without a template are likewise attributed to default@1, and
+ * passages get copies of their parent's filter fields.
+ */
+async function stampLegacyEmbeddings() {
+  const result = await Document.updateMany(
+    { embeddingModel: null, embedding: { $size: 384 } },
+    [
+      {
+        $set: {
+          embeddingModel: LEGACY_EMBEDDING_MODEL,
+          embeddingDimensions: 384,
+          // Best available estimate of when the vector was written
+          embeddedAt: "$updatedAt",
+        },
+      },
+    ],
+    { timestamps: false }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(
+      `🏷️ Tagged ${result.modifiedCount} legacy embeddings as ${LEGACY_EMBEDDING_MODEL}`
     );
-    console.log("✅ Model loaded successfully!");
   }
-  return embeddingPipeline;
+
+  // Text built before templates existed used the default template's format
+  const templateResult = await Document.updateMany(
+    { embeddingTemplate: null, "embedding.0": { $exists: true } },
+    { $set: { embeddingTemplate: LEGACY_EMBEDDING_TEMPLATE } },
+    { timestamps: false }
+  );
+  if (templateResult.modifiedCount > 0) {
+    console.log(
+      `🏷️ Tagged ${templateResult.modifiedCount} legacy embeddings with template ${LEGACY_EMBEDDING_TEMPLATE}`
+    );
+  }
+
+  await backfillFilterKeys();
+  await copyParentFilterFields();
+
+  return result.modifiedCount;
+}
+
+/**
+ * Store filterKeys on documents written before they existed. Their
+ * passages are marked for a fresh copy of the parent's filter fields.
+ * @returns {Promise<number>} Documents updated
+ */
+async function backfillFilterKeys() {
+  const cursor = Document.find(
+    { filterKeysAt: null },
+    Object.fromEntries(VECTOR_FILTER_FIELDS.map((field) => [field, 1]))
+  )
+    .lean()
+    .cursor({ batchSize: 1000 });
+
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const filterKeysAt = new Date();
+    await Document.bulkWrite(
+      batch.map((doc) => ({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { filterKeys: filterKeysFor(doc), filterKeysAt } },
+          timestamps: false,
+        },
+      }))
+    );
+    await Passage.updateMany(
+      { documentId: { $in: batch.map((doc) => doc._id) } },
+      { $set: { parentFieldsAt: null } },
+      { timestamps: false }
+    );
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length === 1000) await flush();
+  }
+  await flush();
+
+  if (updated > 0) {
+    console.log(`🏷️ Stored lower-cased filter keys on ${updated} documents`);
+  }
+  return updated;
+}
+
+/**
+ * Count stored embeddings per model
+ * @returns {Object} { activeModel, models: [{ model, dimensions, documents }], staleDocuments }
+ */
+async function getEmbeddingModelStats() {
+  const activeModel = getEmbeddingProvider().name;
+  const groups = await Document.aggregate([
+    { $match: { "embedding.0": { $exists: true } } },
+    {
+      $group: {
+        _id: "$embeddingModel",
+        documents: { $sum: 1 },
+        dimensions: { $max: "$embeddingDimensions" },
+        lastEmbeddedAt: { $max: "$embeddedAt" },
+      },
+    },
+    { $sort: { documents: -1 } },
+  ]);
+
+  const models = groups.map((group) => ({
+    model: group._id,
+    active: group._id === activeModel,
+    dimensions: group.dimensions,
+    documents: group.documents,
+    lastEmbeddedAt: group.lastEmbeddedAt,
+  }));
+
+  return {
+    activeModel,
+    models,
+    questionAnswerDocuments: await Document.countDocuments(
+      questionAnswerFilter()
+    ),
+    passages: await getPassageStats(),
+    staleDocuments: models
+      .filter((model) => !model.active)
+      .reduce((sum, model) => sum + model.documents, 0),
+  };
 }
 
 /**
@@ -48,44 +272,30 @@ async function connectToMongoDB() {
 }
 
 /**
- * Create formatted text for embedding generation
- * Format: Category: <Category>. QueryType: <QueryType>. Query: <QueryText>. Answer: <KccAns>
+ * Create formatted text for embedding generation with the active template
+ * (see embedding-templates.js)
  */
 function createEmbeddingText(document) {
-  const category = document.Category || "";
-  const queryType = document.QueryType || "";
-  const queryText = document.QueryText || "";
-  const kccAns = document.KccAns || "";
-
-  return `Category: ${category}. QueryType: ${queryType}. Query: ${queryText}. Answer: ${kccAns}`;
+  return renderEmbeddingText(document);
 }
 
 /**
- * Generate embedding for a given text using the local model with caching
+ * Generate embedding for a given text using the active provider with caching
  */
 async function generateEmbedding(text) {
-  // Check cache first
-  const cacheKey = text.toLowerCase().trim();
-  if (queryEmbeddingCache.has(cacheKey)) {
+  const provider = getEmbeddingProvider();
+
+  // Check cache first (keyed per provider so switching models never mixes)
+  const cacheKey = `${provider.name}|${text.toLowerCase().trim()}`;
+  const cached = await queryEmbeddingCache.get(cacheKey);
+  if (cached) {
     console.log(`🎯 Using cached embedding for query`);
-    return queryEmbeddingCache.get(cacheKey);
+    return cached;
   }
 
-  const pipeline = await initializeEmbeddingPipeline();
-
   // Generate embedding
-  const result = await pipeline(text, { pooling: "mean", normalize: true });
-
-  // Convert to regular array
-  const embedding = Array.from(result.data);
-
-  // Cache the result (with size limit)
-  if (queryEmbeddingCache.size >= CACHE_SIZE_LIMIT) {
-    // Remove oldest entry
-    const firstKey = queryEmbeddingCache.keys().next().value;
-    queryEmbeddingCache.delete(firstKey);
-  }
-  queryEmbeddingCache.set(cacheKey, embedding);
+  const embedding = await provider.embed(text);
+  queryEmbeddingCache.set(cacheKey, embedding, provider.name);
 
   return embedding;
 }
@@ -139,53 +349,67 @@ async function generateEmbeddingsForAllDocuments() {
   }
 
   // Initialize the embedding pipeline
-  await initializeEmbeddingPipeline();
+  const provider = await initializeEmbeddingPipeline();
+  const template = await loadEmbeddingTemplates();
 
   const batchSize = 100; // Process in smaller batches to avoid memory issues
+  const startTime = Date.now();
   let processed = 0;
+  let batchNumber = 0;
+  let lastSeenId = null;
+
+  while (true) {
+    batchNumber++;
+    console.log(`📦 Processing batch ${batchNumber}...`);
+
+    // Page by _id: embedded documents leave the filter, so a skip offset
+    // would jump over documents that still need work
+    const documents = await Document.find(
+      lastSeenId
+        ? { embedding: { $size: 0 }, _id: { $gt: lastSeenId } }
+        : { embedding: { $size: 0 } }
+    )
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+
+    if (documents.length === 0) break;
+    lastSeenId = documents[documents.length - 1]._id;
+
+    try {
+      // Embed the whole batch in one bulk call on the worker pool
+      const embeddings = await bulkEmbedder.embedTexts(
+        documents.map((doc) => renderEmbeddingText(doc, template))
+      );
 
-  while (processed < totalDocuments) {
-    console.log(
-      `📦 Processing batch ${Math.floor(processed / batchSize) + 1}...`
-    );
-
-    // Get a batch of documents without embeddings
-    const documents = await Document.find({ embedding: { $size: 0 } }, null, {
-      limit: batchSize,
-      skip: processed,
-    });
-
-    // Process each document in the batch
-    for (const doc of documents) {
-      try {
-        // Create the formatted text for embedding
-        const embeddingText = createEmbeddingText(doc);
-
-        // Generate embedding
-        const embedding = await generateEmbedding(embeddingText);
-
-        // Update the document with the embedding
-        await Document.findByIdAndUpdate(doc._id, { embedding: embedding });
-
-        processed++;
-
-        if (processed % 10 === 0) {
-          console.log(
-            `   ⚡ Processed ${processed}/${totalDocuments} documents (${(
-              (processed / totalDocuments) *
-              100
-            ).toFixed(1)}%)`
-          );
+      // Update each document with its embedding and the model that made it
+      for (let i = 0; i < documents.length; i++) {
+        const embedding = embeddings[i];
+        await Document.findByIdAndUpdate(documents[i]._id, {
+          embedding: embedding,
+          ...embeddingMetadata(embedding, provider),
+          embeddingTemplate: template.key,
+        });
+        if (annIndex.isEnabled()) {
+          annIndex.add(documents[i]._id, embedding);
         }
-      } catch (error) {
-        console.error(
-          `❌ Error processing document ${doc._id}:`,
-          error.message
-        );
       }
+      resultCache.invalidateThrottled("embeddings updated");
+
+      processed += documents.length;
+      const docsPerSecond = processed / ((Date.now() - startTime) / 1000);
+      console.log(
+        `   ⚡ Processed ${processed}/${totalDocuments} documents (${(
+          (processed / totalDocuments) *
+          100
+        ).toFixed(1)}%, ${docsPerSecond.toFixed(1)} docs/sec)`
+      );
+    } catch (error) {
+      console.error(`❌ Error processing batch ${batchNumber}:`, error.message);
     }
   }
 
+  resultCache.flushInvalidation();
   console.log(
     `🎉 Embedding generation completed! Processed ${processed} documents.`
   );
@@ -196,9 +420,40 @@ async function generateEmbeddingsForAllDocuments() {
  * @param {string} query - The search query
  * @param {number} topK - Number of top results to return (default: 10)
  * @param {Object} filters - Optional filters for the search
+ * @param {Object} options - Optional { queryEmbedding } to reuse a query vector,
+ *   { rerank, rerankTopN } to re-rank the top candidates with a cross-encoder,
+ *   { matchWeights, passages } as for semanticSearch (scanned, not indexed)
  * @returns {Array} Array of documents with similarity scores
  */
-async function fastSemanticSearch(query, topK = 10, filters = {}) {
+async function fastSemanticSearch(
+  query,
+  topK = 10,
+  filters = {},
+  options = {}
+) {
+  // Re-rank: retrieve the top N candidates, rescore them, keep topK
+  if (options.rerank) {
+    const { rerank, rerankTopN, ...retrievalOptions } = options;
+    const topN = resolveTopN(Math.max(topK, resolveTopN(rerankTopN)));
+    const candidates = await fastSemanticSearch(
+      query,
+      topN,
+      filters,
+      retrievalOptions
+    );
+    const reranked = await rerankResults(query, candidates, { topN });
+    return reranked.slice(0, topK);
+  }
+
+  const extended = await searchTargetsAndPassages(
+    fastSemanticSearch,
+    query,
+    topK,
+    filters,
+    { ...options, vectorIndex: false }
+  );
+  if (extended) return extended;
+
   console.log(`🚀 Fast semantic search for: "${query}"`);
   const startTime = Date.now();
 
@@ -207,21 +462,18 @@ async function fastSemanticSearch(query, topK = 10, filters = {}) {
     await connectToMongoDB();
   }
 
-  // Generate embedding for the query
+  // Generate embedding for the query (unless the caller already has one)
   const embeddingStartTime = Date.now();
-  const queryEmbedding = await generateEmbedding(query);
+  const queryEmbedding =
+    options.queryEmbedding || (await generateEmbedding(query));
   const embeddingTime = Date.now() - embeddingStartTime;
   console.log(`🧠 Query embedding generated in ${embeddingTime}ms`);
 
   // Build the MongoDB match stage
-  const matchStage = { embedding: { $exists: true, $ne: [] } };
-
-  // Add optional filters
-  Object.keys(filters).forEach((key) => {
-    if (filters[key]) {
-      matchStage[key] = new RegExp(filters[key], "i");
-    }
-  });
+  const matchStage = {
+    ...compileMongoFilter(filters),
+    ...activeModelFilter(),
+  };
 
   const aggregationStartTime = Date.now();
 
@@ -273,6 +525,7 @@ async function fastSemanticSearch(query, topK = 10, filters = {}) {
 
   if (results.length === 0) {
     console.log("⚠️ No documents found with embeddings.");
+    traceStrategy(options, "aggregation");
     return [];
   }
 
@@ -299,6 +552,7 @@ async function fastSemanticSearch(query, topK = 10, filters = {}) {
   const topResults = finalResults
     .sort((a, b) => b.similarity - a.similarity)
     .slice(0, topK);
+  traceStrategy(options, "aggregation");
 
   const processTime = Date.now() - processStartTime;
   const totalTime = Date.now() - startTime;
@@ -314,14 +568,101 @@ async function fastSemanticSearch(query, topK = 10, filters = {}) {
   return topResults;
 }
 
+/**
+ * Check whether a $vectorSearch error was caused by a filter path that the
+ * Atlas index does not declare as a "filter" field
+ */
+function isMissingFilterFieldError(error) {
+  return /needs to be indexed as (token|filter|number|date)/i.test(
+    error.message || ""
+  );
+}
+
+/**
+ * Add "written by the active model" to a $vectorSearch pre-filter
+ * @param {Object|null} filter - Compiled pre-filter
+ * @param {string} modelField - embeddingModel or questionAnswerModel
+ */
+function withModelClause(filter, modelField) {
+  const modelClause = { [modelField]: { $eq: getEmbeddingProvider().name } };
+  if (!filter) return modelClause;
+  return filter.$and
+    ? { $and: [...filter.$and, modelClause] }
+    : { $and: [filter, modelClause] };
+}
+
+/**
+ * Record which search strategy served a search (see search-strategies.js)
+ * on the caller's options.trace, if it passed one
+ */
+function traceStrategy(options, strategy) {
+  if (options && options.trace) options.trace.strategy = strategy;
+}
+
+/**
+ * matchOn weights and answer passages, shared by every vector search so
+ * each strategy honours them. Returns null when neither applies and the
+ * caller should run its plain document search.
+ * @param {Function} search - The calling search, run again for documents
+ * @param {Object} options - Search options; { vectorIndex: false } keeps
+ *   matchOn and passage retrieval off the Atlas indexes
+ * @returns {Promise<Array|null>} Results, or null
+ */
+async function searchTargetsAndPassages(search, query, topK, filters, options) {
+  // Question-only, answer-only or blended matching
+  if (!isCombinedOnly(options.matchWeights)) {
+    return await multiVectorSearch(query, topK, filters, options);
+  }
+
+  // Long answers are also matched passage by passage, then rolled up
+  if (PASSAGE_SEARCH_ENABLED && options.passages !== false) {
+    const queryEmbedding =
+      options.queryEmbedding || (await generateEmbedding(query));
+    const searchOptions = { ...options, queryEmbedding, passages: false };
+    const [documents, passageResults] = await Promise.all([
+      search(query, topK, filters, searchOptions),
+      searchPassages(query, topK, filters, searchOptions),
+    ]);
+    return mergePassageResults(documents, passageResults, query, topK);
+  }
+
+  return null;
+}
+
 /**
  * Perform semantic search using MongoDB Atlas Vector Search (FAST!)
  * @param {string} query - The search query
  * @param {number} topK - Number of top results to return (default: 10)
  * @param {Object} filters - Optional filters for the search
+ * @param {Object} options - Optional { queryEmbedding } to reuse a query vector,
+ *   { rerank, rerankTopN } to re-rank the top candidates with a cross-encoder,
+ *   { matchWeights } for matchOn search, { passages: false } to skip passages
  * @returns {Array} Array of documents with similarity scores
  */
-async function semanticSearch(query, topK = 10, filters = {}) {
+async function semanticSearch(query, topK = 10, filters = {}, options = {}) {
+  // Re-rank: retrieve the top N candidates, rescore them, keep topK
+  if (options.rerank) {
+    const { rerank, rerankTopN, ...retrievalOptions } = options;
+    const topN = resolveTopN(Math.max(topK, resolveTopN(rerankTopN)));
+    const candidates = await semanticSearch(
+      query,
+      topN,
+      filters,
+      retrievalOptions
+    );
+    const reranked = await rerankResults(query, candidates, { topN });
+    return reranked.slice(0, topK);
+  }
+
+  const extended = await searchTargetsAndPassages(
+    semanticSearch,
+    query,
+    topK,
+    filters,
+    options
+  );
+  if (extended) return extended;
+
   console.log(`🔍 Performing MongoDB Atlas Vector Search for: "${query}"`);
   const startTime = Date.now();
 
@@ -330,57 +671,65 @@ async function semanticSearch(query, topK = 10, filters = {}) {
     await connectToMongoDB();
   }
 
-  // Generate embedding for the query (with caching)
+  // Generate embedding for the query (with caching) unless one was passed in
   const embeddingStartTime = Date.now();
-  const queryEmbedding = await generateEmbedding(query);
+  const queryEmbedding =
+    options.queryEmbedding || (await generateEmbedding(query));
   const embeddingTime = Date.now() - embeddingStartTime;
   console.log(`🧠 Query embedding generated in ${embeddingTime}ms`);
 
+  // Filters are applied inside $vectorSearch so topK is filled from matching
+  // documents only, instead of post-filtering an already truncated list
+  const { filter, unsupportedFields } = compileVectorSearchFilter(filters);
+
+  if (unsupportedFields.length > 0) {
+    console.log(
+      `🔄 Filters on ${unsupportedFields.join(
+        ", "
+      )} cannot be pre-filtered by the vector index, using local search`
+    );
+    return await semanticSearchFallback(query, topK, filters, {
+      ...options,
+      queryEmbedding,
+    });
+  }
+
+  const vectorSearchStage = {
+    index: "vector_index", // This matches your Atlas vector search index name
+    path: "embedding",
+    queryVector: queryEmbedding,
+    numCandidates: Math.min(Math.max(topK * 20, 200), 10000), // Search more candidates for better results (Atlas caps this at 10000)
+    limit: topK,
+  };
+
+  // Never score vectors written by a different embedding model
+  vectorSearchStage.filter = withModelClause(filter, "embeddingModel");
+
   // Build the vector search aggregation pipeline
   const pipeline = [
+    { $vectorSearch: vectorSearchStage },
     {
-      $vectorSearch: {
-        index: "vector_index", // This matches your Atlas vector search index name
-        path: "embedding",
-        queryVector: queryEmbedding,
-        numCandidates: Math.max(topK * 20, 200), // Search more candidates for better results
-        limit: topK * 2, // Get extra results before filtering
+      $addFields: {
+        // Atlas reports (1 + cosine) / 2 for cosine indexes; convert back so
+        // similarity means the same on every search path
+        similarity: {
+          $subtract: [{ $multiply: [{ $meta: "vectorSearchScore" }, 2] }, 1],
+        },
       },
     },
     {
-      $addFields: {
-        similarity: { $meta: "vectorSearchScore" }, // Get the similarity score
+      $project: {
+        ...VECTOR_EXCLUSION, // Exclude vectors from results to save bandwidth
       },
     },
   ];
 
-  // Add filters if provided
-  if (Object.keys(filters).length > 0) {
-    const matchStage = { $match: {} };
-
-    Object.keys(filters).forEach((key) => {
-      if (filters[key]) {
-        matchStage.$match[key] = new RegExp(filters[key], "i");
-      }
-    });
-
-    // Add match stage after vector search
-    pipeline.push(matchStage);
-  }
-
-  // Final limit and projection
-  pipeline.push({ $limit: topK });
-  pipeline.push({
-    $project: {
-      embedding: 0, // Exclude embedding field from results to save bandwidth
-    },
-  });
-
   try {
     const searchStartTime = Date.now();
 
     // Execute the vector search
     const results = await Document.aggregate(pipeline);
+    traceStrategy(options, "atlas-vector");
 
     const searchTime = Date.now() - searchStartTime;
     const totalTime = Date.now() - startTime;
@@ -403,8 +752,17 @@ async function semanticSearch(query, topK = 10, filters = {}) {
   } catch (error) {
     console.error("❌ Vector search failed:", error.message);
 
-    // Check if it's a vector search specific error
-    if (
+    if (isMissingFilterFieldError(error)) {
+      console.log(
+        "🔧 The 'vector_index' index does not declare the filtered fields as 'filter' paths."
+      );
+      console.log(
+        `   Add filter fields for: ${[
+          ...VECTOR_FILTER_FIELDS.map(vectorFilterPath),
+          "embeddingModel",
+        ].join(", ")}`
+      );
+    } else if (
       error.message.includes("$vectorSearch") ||
       error.message.includes("vector_index")
     ) {
@@ -413,43 +771,413 @@ async function semanticSearch(query, topK = 10, filters = {}) {
       console.log("   1. Atlas Search index 'vector_index' exists");
       console.log("   2. Index is configured for 'embedding' field");
       console.log(
-        "   3. numDimensions matches your embedding size (384 for all-MiniLM-L6-v2)"
+        `   3. numDimensions matches your embedding size (${
+          getEmbeddingProvider().dimensions || "see EMBEDDING_DIMENSIONS"
+        } for ${getEmbeddingProvider().name})`
       );
       console.log("   4. similarity is set to 'cosine'");
     }
 
     // Fallback to the old method if vector search fails
     console.log("🔄 Falling back to manual cosine similarity search...");
-    return await semanticSearchFallback(query, topK, filters);
+    return await semanticSearchFallback(query, topK, filters, {
+      ...options,
+      queryEmbedding,
+    });
   }
 }
 
+/**
+ * Weighted similarity between the query and a document's vectors.
+ * Vectors the document lacks (or that another model wrote) are left out and
+ * the remaining weights are scaled back up to 1.
+ * @returns {number|null} Similarity, or null when no vector is usable
+ */
+function matchTargetSimilarity(queryEmbedding, document, weights) {
+  const activeModel = getEmbeddingProvider().name;
+  let similarity = 0;
+  let usedWeight = 0;
+
+  for (const [target, weight] of Object.entries(weights)) {
+    const vector = document[TARGET_FIELDS[target]];
+    if (
+      !Array.isArray(vector) ||
+      vector.length !== queryEmbedding.length ||
+      document[TARGET_MODEL_FIELDS[target]] !== activeModel
+    ) {
+      continue;
+    }
+    similarity += weight * cosineSimilarity(queryEmbedding, vector);
+    usedWeight += weight;
+  }
+
+  return usedWeight > 0 ? similarity / usedWeight : null;
+}
+
+/**
+ * Check whether 'passage_index' exists and can be queried. Deployments
+ * without Atlas Search reject $listSearchIndexes, which counts as no. The
+ * result is kept until the next call, so searches do not check per request.
+ * @returns {Promise<boolean>}
+ */
+function detectPassageIndex() {
+  passageIndexCheck = Passage.aggregate([
+    { $listSearchIndexes: { name: PASSAGE_VECTOR_INDEX } },
+  ])
+    .then((indexes) => indexes.some((index) => index.queryable !== false))
+    .catch(() => false)
+    .then((available) => {
+      if (!available) {
+        console.log(
+          `🔧 No '${PASSAGE_VECTOR_INDEX}' vector index on passages; Atlas searches skip passages until it is created`
+        );
+      }
+      return available;
+    });
+  return passageIndexCheck;
+}
+
+/**
+ * Score answer passages (see answer-passages.js) and return each matching
+ * parent document once, with its best passage. Filters are applied to the
+ * passages' copies of their parent's fields before the best are taken.
+ * @param {Object} options - { queryEmbedding }
+ * @returns {Array} Parent documents with similarity and `passage`
+ */
+async function searchPassages(query, topK = 10, filters = {}, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      await connectToMongoDB();
+    }
+
+    const activeModel = getEmbeddingProvider().name;
+    if (!(await Passage.exists({ embeddingModel: activeModel }))) return [];
+
+    const queryEmbedding =
+      options.queryEmbedding || (await generateEmbedding(query));
+    const limit = Math.min(topK * PASSAGE_CANDIDATE_FACTOR, 10000);
+    const projection = { documentId: 1, index: 1, text: 1, start: 1, end: 1 };
+
+    // Passages only carry the filter fields; the rest are checked on parents
+    const passageFilters = Object.fromEntries(
+      Object.entries(filters || {}).filter(([field]) =>
+        PASSAGE_FILTER_FIELDS.includes(field)
+      )
+    );
+    const { filter, unsupportedFields } =
+      compileVectorSearchFilter(passageFilters);
+
+    let hits;
+    if (unsupportedFields.length === 0 && options.vectorIndex !== false) {
+      // Atlas searches use the passage index, and skip passages without it
+      if (!(await (passageIndexCheck || detectPassageIndex()))) return [];
+
+      try {
+        hits = await Passage.aggregate([
+          {
+            $vectorSearch: {
+              index: PASSAGE_VECTOR_INDEX,
+              path: "embedding",
+              queryVector: queryEmbedding,
+              numCandidates: Math.min(Math.max(limit * 10, 200), 10000),
+              limit,
+              filter: withModelClause(filter, "embeddingModel"),
+            },
+          },
+          {
+            $addFields: {
+              similarity: {
+                $subtract: [
+                  { $multiply: [{ $meta: "vectorSearchScore" }, 2] },
+                  1,
+                ],
+              },
+            },
+          },
+          { $project: { ...projection, similarity: 1 } },
+        ]);
+      } catch (error) {
+        // The index was dropped or changed since it was detected
+        console.error("❌ Passage vector search failed:", error.message);
+        passageIndexCheck = Promise.resolve(false);
+        return [];
+      }
+    } else {
+      // Local strategies and filters the index cannot apply scan passages.
+      // Only the newest PASSAGE_SCAN_LIMIT are scored, so a search never
+      // reads every passage vector
+      const cursor = Passage.find(
+        {
+          ...compileMongoFilter(passageFilters),
+          embeddingModel: activeModel,
+        },
+        { ...projection, embedding: 1 }
+      )
+        .sort({ _id: -1 })
+        .limit(PASSAGE_SCAN_LIMIT)
+        .lean()
+        .cursor({ batchSize: 1000 });
+      const scan = await scanTopMatches(
+        cursor,
+        limit,
+        ({ embedding, ...passage }) =>
+          embedding.length === queryEmbedding.length
+            ? {
+                ...passage,
+                similarity: cosineSimilarity(queryEmbedding, embedding),
+              }
+            : null
+      );
+      if (scan.scanned === PASSAGE_SCAN_LIMIT) {
+        console.log(
+          `⚠️ Passage scan stopped at PASSAGE_SCAN_LIMIT (${PASSAGE_SCAN_LIMIT}); older passages are only found through '${PASSAGE_VECTOR_INDEX}'`
+        );
+      }
+      hits = scan.results;
+    }
+
+    // Best passage per parent
+    const bestByDocument = new Map();
+    for (const hit of hits) {
+      const id = String(hit.documentId);
+      const best = bestByDocument.get(id);
+      if (!best || hit.similarity > best.similarity) {
+        bestByDocument.set(id, hit);
+      }
+    }
+
+    const documents = await Document.find(
+      {
+        _id: { $in: [...bestByDocument.keys()] },
+        ...compileMongoFilter(filters),
+      },
+      VECTOR_EXCLUSION
+    ).lean();
+
+    const results = documents
+      .map((doc) => {
+        const { documentId, similarity, ...passage } = bestByDocument.get(
+          String(doc._id)
+        );
+        return { ...doc, similarity, passage: { ...passage, similarity } };
+      })
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, topK);
+
+    console.log(
+      `📄 Passage search: ${hits.length} passages, ${
+        results.length
+      } documents in ${Date.now() - startTime}ms`
+    );
+    return results;
+  } catch (error) {
+    // Passages only add to document search; never fail the search for them
+    console.error("❌ Passage search error:", error.message);
+    return [];
+  }
+}
+
+/**
+ * Score everything a cursor yields and keep the topK best, so a scan can
+ * cover the whole collection without holding it in memory
+ * @param {Object} cursor - Query cursor over the candidates
+ * @param {Function} score - doc => result with `similarity`, or null to skip
+ * @returns {Promise<Object>} { results, scanned } - results best first
+ */
+async function scanTopMatches(cursor, topK, score) {
+  const results = [];
+  let scanned = 0;
+
+  for await (const doc of cursor) {
+    scanned++;
+    const result = score(doc);
+    if (!result) continue;
+    if (
+      results.length === topK &&
+      result.similarity <= results[topK - 1].similarity
+    ) {
+      continue;
+    }
+    const index = results.findIndex(
+      (entry) => result.similarity > entry.similarity
+    );
+    results.splice(index === -1 ? results.length : index, 0, result);
+    if (results.length > topK) results.pop();
+  }
+
+  return { results, scanned };
+}
+
+/**
+ * Search against question, answer and/or combined vectors (see
+ * match-targets.js). Each weighted vector gets its own $vectorSearch; the
+ * union of hits is then scored with the weighted similarity. Without Atlas
+ * (or for filters it cannot pre-filter) every matching document is scanned.
+ * @param {Object} options - { matchWeights, queryEmbedding }
+ * @returns {Array} Documents with the weighted similarity
+ */
+async function multiVectorSearch(query, topK = 10, filters = {}, options = {}) {
+  const weights = options.matchWeights;
+  console.log(
+    `🎯 Multi-vector search (${Object.entries(weights)
+      .map(([target, weight]) => `${target} ${weight.toFixed(2)}`)
+      .join(", ")}) for: "${query}"`
+  );
+  const startTime = Date.now();
+
+  if (mongoose.connection.readyState !== 1) {
+    await connectToMongoDB();
+  }
+
+  const queryEmbedding =
+    options.queryEmbedding || (await generateEmbedding(query));
+  const projection = {
+    _id: 1,
+    StateName: 1,
+    DistrictName: 1,
+    BlockName: 1,
+    Category: 1,
+    QueryType: 1,
+    QueryText: 1,
+    KccAns: 1,
+    Crop: 1,
+    Season: 1,
+    CreatedOn: 1,
+    year: 1,
+    month: 1,
+    ...matchTargetProjection(weights),
+  };
+
+  let documents = null;
+  const { filter, unsupportedFields } = compileVectorSearchFilter(filters);
+
+  if (unsupportedFields.length === 0 && options.vectorIndex !== false) {
+    try {
+      const hitLists = await Promise.all(
+        Object.keys(weights).map((target) =>
+          Document.aggregate([
+            {
+              $vectorSearch: {
+                index: "vector_index",
+                path: TARGET_FIELDS[target],
+                queryVector: queryEmbedding,
+                numCandidates: Math.min(Math.max(topK * 20, 200), 10000),
+                limit: topK,
+                filter: withModelClause(filter, TARGET_MODEL_FIELDS[target]),
+              },
+            },
+            { $project: { _id: 1 } },
+          ])
+        )
+      );
+      const ids = [...new Set(hitLists.flat().map((hit) => String(hit._id)))];
+      documents = await Document.find({ _id: { $in: ids } }, projection).lean();
+      traceStrategy(options, "atlas-vector");
+    } catch (error) {
+      console.error("❌ Multi-vector search failed:", error.message);
+      console.log(
+        "🔧 Declare questionEmbedding, answerEmbedding and questionAnswerModel in 'vector_index'; scanning documents instead"
+      );
+    }
+  }
+
+  const score = (doc) => {
+    const similarity = matchTargetSimilarity(queryEmbedding, doc, weights);
+    for (const target of Object.keys(TARGET_FIELDS)) {
+      delete doc[TARGET_FIELDS[target]];
+    }
+    return similarity === null ? null : { ...doc, similarity };
+  };
+
+  let results;
+  if (documents) {
+    results = documents
+      .map(score)
+      .filter((doc) => doc !== null)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, topK);
+  } else {
+    // Every matching document is scored; only the best topK are kept
+    const cursor = Document.find(
+      { ...compileMongoFilter(filters), ...matchTargetFilter(weights) },
+      projection
+    )
+      .lean()
+      .cursor({ batchSize: 1000 });
+    const scan = await scanTopMatches(cursor, topK, score);
+    console.log(`📊 Scanned ${scan.scanned} documents for matchOn vectors`);
+    results = scan.results;
+    traceStrategy(options, "linear");
+  }
+
+  console.log(
+    `✅ Multi-vector search completed in ${Date.now() - startTime}ms (${
+      results.length
+    } results)`
+  );
+  return results;
+}
+
 /**
  * Fallback semantic search using manual cosine similarity (slower but reliable)
+ * @param {Object} options - Optional { queryEmbedding } to reuse a query vector,
+ *   { ann: false } to scan linearly even when the ANN index is ready,
+ *   { matchWeights, passages } as for semanticSearch (scanned, not indexed)
  */
-async function semanticSearchFallback(query, topK = 10, filters = {}) {
+async function semanticSearchFallback(
+  query,
+  topK = 10,
+  filters = {},
+  options = {}
+) {
+  const extended = await searchTargetsAndPassages(
+    semanticSearchFallback,
+    query,
+    topK,
+    filters,
+    { ...options, vectorIndex: false }
+  );
+  if (extended) return extended;
+
   console.log(
     `🔍 Performing fallback cosine similarity search for: "${query}"`
   );
   const startTime = Date.now();
 
   // Generate embedding for the query
-  const queryEmbedding = await generateEmbedding(query);
+  const queryEmbedding =
+    options.queryEmbedding || (await generateEmbedding(query));
 
   // Build the MongoDB filter
-  const mongoFilter = { embedding: { $exists: true, $ne: [] } };
+  const mongoFilter = {
+    ...compileMongoFilter(filters),
+    ...activeModelFilter(),
+  };
 
-  // Add optional filters
-  Object.keys(filters).forEach((key) => {
-    if (filters[key]) {
-      mongoFilter[key] = new RegExp(filters[key], "i");
-    }
-  });
+  // Query the in-memory ANN index over the full collection once it is ready
+  if (options.ann !== false && annIndex.isReady()) {
+    const topResults = await annIndexSearch(queryEmbedding, topK, mongoFilter);
+    traceStrategy(options, "ann");
 
-  // Use a more efficient approach - limit the number of documents we process
-  const maxDocuments = 10000; // Limit to first 10k documents for faster processing
+    const totalTime = Date.now() - startTime;
+    console.log(`✅ ANN fallback search completed in ${totalTime}ms`);
+    console.log(
+      `🎯 Best match similarity: ${
+        topResults[0]?.similarity.toFixed(4) || "N/A"
+      }`
+    );
+    return topResults;
+  }
 
-  const documents = await Document.find(mongoFilter, {
+  if (options.ann !== false) {
+    console.log("🧭 ANN index not ready, scanning documents linearly");
+  }
+  traceStrategy(options, "linear");
+
+  // Every matching document is scored; only the best topK are kept
+  const cursor = Document.find(mongoFilter, {
     _id: 1,
     StateName: 1,
     DistrictName: 1,
@@ -463,19 +1191,72 @@ async function semanticSearchFallback(query, topK = 10, filters = {}) {
     embedding: 1,
   })
     .lean()
-    .limit(maxDocuments);
-
-  console.log(`📊 Processing ${documents.length} documents with embeddings`);
+    .cursor({ batchSize: 1000 });
+
+  const { results: topResults, scanned } = await scanTopMatches(
+    cursor,
+    topK,
+    ({ embedding, ...doc }) => ({
+      ...doc,
+      similarity: cosineSimilarity(queryEmbedding, embedding),
+    })
+  );
 
-  if (documents.length === 0) {
+  console.log(`📊 Processed ${scanned} documents with embeddings`);
+  if (scanned === 0) {
     console.log("⚠️ No documents found with embeddings.");
     return [];
   }
 
-  // Calculate similarity scores
-  const results = documents.map((doc) => {
-    const similarity = cosineSimilarity(queryEmbedding, doc.embedding);
-    return {
+  const totalTime = Date.now() - startTime;
+  console.log(`✅ Fallback search completed in ${totalTime}ms`);
+  console.log(`📊 Returning top ${topResults.length} results`);
+  console.log(
+    `🎯 Best match similarity: ${topResults[0]?.similarity.toFixed(4) || "N/A"}`
+  );
+
+  return topResults;
+}
+
+/**
+ * Search the ANN index and hydrate the hits from MongoDB.
+ * Filters are applied while hydrating, so when they are selective the index is
+ * asked for progressively more candidates until topK documents survive.
+ */
+async function annIndexSearch(queryEmbedding, topK, mongoFilter) {
+  // The index only holds active-model vectors, so those conditions never
+  // reject a hit
+  const hasFilters = Object.keys(mongoFilter).some(
+    (key) => key !== "embedding" && key !== "embeddingModel"
+  );
+  let candidateCount = hasFilters ? topK * 20 : topK;
+  let nProbe = annIndex.nProbe;
+  let documents = [];
+  let hits = [];
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    hits = annIndex.search(queryEmbedding, candidateCount, { nProbe });
+
+    documents = await Document.find(
+      { ...mongoFilter, _id: { $in: hits.map((hit) => hit.id) } },
+      VECTOR_EXCLUSION
+    ).lean();
+
+    // Enough matches, or the index has nothing more to offer
+    if (documents.length >= topK || hits.length < candidateCount) break;
+
+    candidateCount *= 4;
+    nProbe *= 2;
+  }
+
+  console.log(
+    `🧭 ANN index returned ${hits.length} candidates, ${documents.length} matched filters`
+  );
+
+  const scoreById = new Map(hits.map((hit) => [hit.id, hit.score]));
+
+  return documents
+    .map((doc) => ({
       _id: doc._id,
       StateName: doc.StateName,
       DistrictName: doc.DistrictName,
@@ -486,25 +1267,210 @@ async function semanticSearchFallback(query, topK = 10, filters = {}) {
       Crop: doc.Crop,
       Season: doc.Season,
       CreatedOn: doc.CreatedOn,
-      similarity: similarity,
-    };
-  });
-
-  // Sort by similarity (highest first) and return top K
-  const topResults = results
+      similarity: scoreById.get(String(doc._id)),
+    }))
     .sort((a, b) => b.similarity - a.similarity)
     .slice(0, topK);
+}
+
+/**
+ * Lexical search over QueryText and KccAns using the MongoDB text index
+ * @param {string} query - The search query
+ * @param {number} topK - Number of top results to return (default: 10)
+ * @param {Object} filters - Optional filters for the search
+ * @returns {Array} Array of documents with text relevance scores
+ */
+async function keywordSearch(query, topK = 10, filters = {}) {
+  console.log(`🔤 Performing keyword search for: "${query}"`);
+  const startTime = Date.now();
+
+  // Ensure we're connected to MongoDB
+  if (mongoose.connection.readyState !== 1) {
+    await connectToMongoDB();
+  }
+
+  // $text has to live in the first $match stage, filters can share it
+  const matchStage = {
+    ...compileMongoFilter(filters),
+    $text: { $search: query },
+  };
+
+  const results = await Document.aggregate([
+    { $match: matchStage },
+    { $addFields: { lexicalScore: { $meta: "textScore" } } },
+    { $sort: { lexicalScore: -1 } },
+    { $limit: topK },
+    { $project: VECTOR_EXCLUSION },
+  ]);
 
   const totalTime = Date.now() - startTime;
-  console.log(`✅ Fallback search completed in ${totalTime}ms`);
-  console.log(`📊 Returning top ${topResults.length} results`);
   console.log(
-    `🎯 Best match similarity: ${topResults[0]?.similarity.toFixed(4) || "N/A"}`
+    `✅ Keyword search completed in ${totalTime}ms (${results.length} results)`
+  );
+
+  return results;
+}
+
+/**
+ * Fill in cosine similarity for results the vector side did not score
+ * (keyword hits), so every result can be held to the same threshold
+ * @param {Array} results - Search results, some without similarity
+ * @param {Array} queryEmbedding - Query vector from the active provider
+ * @param {Object} matchWeights - Optional matchOn weights (combined by default)
+ * @returns {Array} Results with similarity wherever an embedding exists
+ */
+async function attachSimilarity(results, queryEmbedding, matchWeights) {
+  const missing = results.filter(
+    (result) => typeof result.similarity !== "number"
+  );
+  if (missing.length === 0 || !queryEmbedding) return results;
+
+  const weights = matchWeights || { combined: 1 };
+  const documents = await Document.find(
+    {
+      _id: { $in: missing.map((result) => result._id) },
+      ...matchTargetFilter(weights),
+    },
+    matchTargetProjection(weights)
+  ).lean();
+  const documentById = new Map(documents.map((doc) => [String(doc._id), doc]));
+
+  return results.map((result) => {
+    const doc = documentById.get(String(result._id));
+    if (typeof result.similarity === "number" || !doc) return result;
+    const similarity = matchTargetSimilarity(queryEmbedding, doc, weights);
+    return similarity === null ? result : { ...result, similarity };
+  });
+}
+
+/**
+ * Merge ranked vector and lexical result lists with reciprocal-rank fusion.
+ * Each document scores sum(1 / (k + rank)) over the lists it appears in.
+ */
+function reciprocalRankFusion(vectorResults, lexicalResults, k = RRF_K) {
+  const fused = new Map();
+
+  const addRanks = (results, rankField) => {
+    results.forEach((doc, index) => {
+      const id = String(doc._id);
+      const entry = fused.get(id) || {
+        vectorRank: null,
+        lexicalRank: null,
+        fusedScore: 0,
+      };
+
+      Object.assign(entry, doc);
+      entry[rankField] = index + 1;
+      entry.fusedScore += 1 / (k + index + 1);
+      fused.set(id, entry);
+    });
+  };
+
+  addRanks(vectorResults, "vectorRank");
+  addRanks(lexicalResults, "lexicalRank");
+
+  return Array.from(fused.values()).sort(
+    (a, b) => b.fusedScore - a.fusedScore
+  );
+}
+
+/**
+ * Candidates each side of a hybrid search contributes for topK results: a
+ * deeper list, so fusion has overlap to work with
+ */
+function hybridFusionDepth(topK) {
+  return Math.max(topK * 3, 30);
+}
+
+/**
+ * Hybrid search: run vector and keyword search side by side and fuse the
+ * two rankings with reciprocal-rank fusion
+ * @param {string} query - The search query
+ * @param {number} topK - Number of top results to return (default: 10)
+ * @param {Object} filters - Optional filters for the search
+ * @param {Object} options - Optional { queryEmbedding } to reuse a query vector,
+ *   { vectorSearch } to replace semanticSearch for the vector half,
+ *   { fusionDepth } to fix how many candidates each side contributes
+ * @returns {Array} Fused documents with vectorRank, lexicalRank and fusedScore
+ */
+async function hybridSearch(query, topK = 10, filters = {}, options = {}) {
+  console.log(`🔀 Performing hybrid search for: "${query}"`);
+  const startTime = Date.now();
+
+  // Fused scores depend on how deep each list goes, so paged searches keep
+  // the depth of their first page
+  const candidateCount = options.fusionDepth || hybridFusionDepth(topK);
+
+  const vectorSearch = options.vectorSearch || semanticSearch;
+  const [vectorResults, lexicalResults] = await Promise.all([
+    vectorSearch(query, candidateCount, filters, options),
+    keywordSearch(query, candidateCount, filters).catch((error) => {
+      console.error("❌ Keyword half of hybrid search failed:", error.message);
+      console.log("🔧 Ensure the 'lexical_text_index' text index exists");
+      return [];
+    }),
+  ]);
+
+  const topResults = reciprocalRankFusion(vectorResults, lexicalResults).slice(
+    0,
+    topK
+  );
+
+  const totalTime = Date.now() - startTime;
+  console.log(
+    `✅ Hybrid search completed in ${totalTime}ms (vector: ${vectorResults.length}, keyword: ${lexicalResults.length}, fused: ${topResults.length})`
   );
 
   return topResults;
 }
 
+/**
+ * Run a search in the requested ranking mode ("vector", "keyword" or "hybrid").
+ * Every result carries vectorRank and lexicalRank (null when absent) and a
+ * mode-independent `score` that the results are ordered by.
+ * `options.vectorSearch` replaces semanticSearch for vector retrieval (see
+ * search-strategies.js).
+ */
+async function searchByMode(
+  query,
+  topK = 10,
+  filters = {},
+  mode = "vector",
+  options = {}
+) {
+  switch (mode) {
+    case "vector": {
+      const vectorSearch = options.vectorSearch || semanticSearch;
+      const results = await vectorSearch(query, topK, filters, options);
+      return results.map((doc, index) => ({
+        ...doc,
+        score: doc.similarity,
+        vectorRank: index + 1,
+        lexicalRank: null,
+      }));
+    }
+    case "keyword": {
+      const results = await keywordSearch(query, topK, filters);
+      return results.map((doc, index) => ({
+        ...doc,
+        score: doc.lexicalScore,
+        vectorRank: null,
+        lexicalRank: index + 1,
+      }));
+    }
+    case "hybrid": {
+      const results = await hybridSearch(query, topK, filters, options);
+      return results.map((doc) => ({ ...doc, score: doc.fusedScore }));
+    }
+    default:
+      throw new Error(
+        `Unknown search mode "${mode}". Expected one of: ${SEARCH_MODES.join(
+          ", "
+        )}`
+      );
+  }
+}
+
 /**
  * Main function that orchestrates the entire process
  */
@@ -564,12 +1530,29 @@ module.exports = {
   semanticSearch,
   semanticSearchFallback,
   fastSemanticSearch,
+  keywordSearch,
+  attachSimilarity,
+  hybridSearch,
+  hybridFusionDepth,
+  multiVectorSearch,
+  searchPassages,
+  detectPassageIndex,
+  searchByMode,
+  reciprocalRankFusion,
+  SEARCH_MODES,
   generateEmbeddingsForAllDocuments,
   connectToMongoDB,
   initializeEmbeddingPipeline,
+  describeEmbeddingProvider,
+  activeModelFilter,
+  staleEmbeddingFilter,
+  stampLegacyEmbeddings,
+  getEmbeddingModelStats,
   generateEmbedding,
   cosineSimilarity,
   createEmbeddingText,
+  annIndex,
+  queryEmbeddingCache,
   main,
 };
 